@@ -1,11 +1,24 @@
 const express = require('express');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { logger, requestId } = require('./utils/logger');
+const { notFoundHandler, errorHandler } = require('./utils/errors');
+const { rateLimit } = require('./utils/rateLimit');
 
 const app = express();
 
 app.set('json spaces', 2);
 
+// Behind a proxy (Render, Vercel, nginx...) set TRUST_PROXY so req.ip is the
+// client's address rather than the proxy's - rate limits are keyed on it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Request ID on every response (X-Request-Id) and log line
+app.use(requestId);
+
 // PRODUCTION-READY CORS 
 const allowedOrigins = [
   'http://localhost:3000',         
@@ -22,7 +35,8 @@ app.use((req, res, next) => {
   
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id,RateLimit-Limit,RateLimit-Remaining,RateLimit-Reset,RateLimit-Policy,Retry-After,Link');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(204);
@@ -33,10 +47,8 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
-// Connect MongoDB
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✓ MongoDB connected'))
-  .catch(err => console.log('MongoDB error:', err));
+// Overall per-IP budget; route groups add their own limits (utils/rateLimit.js)
+app.use('/api', rateLimit('api'));
 
 // Load models
 const User = require('./models/User');
@@ -44,36 +56,52 @@ const Question = require('./models/Question');
 const Answer = require('./models/Answer');
 const Vote = require('./models/Vote');
 const Comment = require('./models/Comment');
+const ReputationEvent = require('./models/ReputationEvent');
+const Revision = require('./models/Revision');
+const Tag = require('./models/Tag');
+const Notification = require('./models/Notification');
+const Bounty = require('./models/Bounty');
+const Flag = require('./models/Flag');
+const CloseVote = require('./models/CloseVote');
+const UserBadge = require('./models/UserBadge');
+const Session = require('./models/Session');
+const AccountToken = require('./models/AccountToken');
+const RoleChange = require('./models/RoleChange');
 
 console.log('✓ All models loaded');
 
-// Routes
-const authRoutes = require('./routes/auth');
-const questionRoutes = require('./routes/questions');
-const answerRoutes = require('./routes/answers');
-const voteRoutes = require('./routes/votes');
-const commentRoutes = require('./routes/comments');
-const userRoutes = require('./routes/users');
-
-app.use('/api/auth', authRoutes);
-app.use('/api/questions', questionRoutes);
-app.use('/api/questions/:questionId/answers', answerRoutes);
-app.use('/api/votes', voteRoutes);
-app.use('/api/comments', commentRoutes);
-app.use('/api/users', userRoutes);
-
-// Health check endpoint
-app.get('/api/test', (req, res) => {
-  res.json({ message: 'Backend is running!', environment: process.env.NODE_ENV });
-});
+// Routes (see routes/index.js), plus the health check and API docs
+const { API_ROUTES } = require('./routes');
+
+for (const { path, router } of API_ROUTES) {
+  app.use(path, router);
+}
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+app.use(notFoundHandler);
+
+// Error handler - every error thrown or passed to next() ends up here
+app.use(errorHandler);
+
+// Start the server when run directly (`npm start`). Tests require the app
+// and connect to their own database instead.
+if (require.main === module) {
+  // Connect MongoDB
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => console.log('✓ MongoDB connected'))
+    .catch(err => logger.error('MongoDB error:', err));
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`✓ Server running on port ${PORT}`);
+    console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+
+  // Award or close expired bounties every minute
+  const { expireBounties } = require('./utils/bounties');
+  setInterval(() => {
+    expireBounties().catch(err => logger.error('Bounty expiry error:', err));
+  }, 60 * 1000);
+}
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`✓ Server running on port ${PORT}`);
-  console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const accountTokenSchema = require('../schema/accountTokenSchema');
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const bountySchema = require('../schema/bountySchema');
+
+const Bounty = mongoose.model('Bounty', bountySchema);
+
+module.exports = Bounty;
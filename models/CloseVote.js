@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const closeVoteSchema = require('../schema/closeVoteSchema');
+
+const CloseVote = mongoose.model('CloseVote', closeVoteSchema);
+
+module.exports = CloseVote;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const flagSchema = require('../schema/flagSchema');
+
+const Flag = mongoose.model('Flag', flagSchema);
+
+module.exports = Flag;
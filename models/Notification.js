@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const notificationSchema = require('../schema/notificationSchema');
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
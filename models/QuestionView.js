@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const questionViewSchema = require('../schema/questionViewSchema');
+
+const QuestionView = mongoose.model('QuestionView', questionViewSchema);
+
+module.exports = QuestionView;
\ No newline at end of file
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const questionViewDaySchema = require('../schema/questionViewDaySchema');
+
+const QuestionViewDay = mongoose.model('QuestionViewDay', questionViewDaySchema);
+
+module.exports = QuestionViewDay;
\ No newline at end of file
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const reputationEventSchema = require('../schema/reputationEventSchema');
+
+const ReputationEvent = mongoose.model('ReputationEvent', reputationEventSchema);
+
+module.exports = ReputationEvent;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const revisionSchema = require('../schema/revisionSchema');
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const roleChangeSchema = require('../schema/roleChangeSchema');
+
+const RoleChange = mongoose.model('RoleChange', roleChangeSchema);
+
+module.exports = RoleChange;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const sessionSchema = require('../schema/sessionSchema');
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
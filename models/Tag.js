@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const tagSchema = require('../schema/tagSchema');
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
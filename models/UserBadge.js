@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const userBadgeSchema = require('../schema/userBadgeSchema');
+
+const UserBadge = mongoose.model('UserBadge', userBadgeSchema);
+
+module.exports = UserBadge;
@@ -1,147 +1,87 @@
 const express = require('express');
 const router = express.Router({ mergeParams: true }); // Important: mergeParams to get :questionId
 const Answer = require('../models/Answer');
-const Question = require('../models/Question');
-const User = require('../models/User');
-const { protect } = require('../utils/auth');
-
-// Create answer (protected)
-// POST /api/questions/:questionId/answers
-router.post('/', protect, async (req, res) => {
+const { protect, optionalAuth } = require('../utils/auth');
+const { isOwnerOr, loadUser } = require('../utils/permissions');
+const { canViewTarget } = require('../utils/moderation');
+const { snapshot, contentChanged, listRevisions, revisionHistory, rollbackToRevision } = require('../utils/revisions');
+const { int, objectId, validate } = require('../utils/validation');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Answer revisions. Creating, editing, accepting and deleting answers live in
+// routes/questions.js under /api/questions/:id/answers.
+
+// The answer in the URL, or null when it isn't on the question in the URL
+const findAnswer = async ({ questionId, answerId }) => {
+  const answer = await Answer.findById(answerId);
+  return answer && answer.questionId.toString() === questionId ? answer : null;
+};
+
+// Get answer revisions with a diff between two of them (public)
+// GET /api/questions/:questionId/answers/:answerId/revisions?from=1&to=3
+router.get('/:answerId/revisions', optionalAuth, validate({
+  params: { questionId: objectId(), answerId: objectId() },
+  query: { from: int({ min: 1 }), to: int({ min: 1 }) }
+}), loadUser, async (req, res, next) => {
   try {
-    const { questionId } = req.params; // Get from URL params
-    const { body } = req.body;
+    const answer = await findAnswer(req.params);
 
-    if (!body) {
-      return res.status(400).json({ error: 'Answer body is required' });
+    // An answer on a hidden question is hidden along with it
+    if (!answer || !(await canViewTarget(req.user, 'answer', answer))) {
+      throw new NotFoundError('Answer not found');
     }
 
-    // Check if question exists
-    const question = await Question.findById(questionId);
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
+    const history = await revisionHistory('answer', answer, req.query);
 
-    const answer = await Answer.create({
-      questionId,
-      body,
-      answerer: req.userId
-    });
-
-    const populatedAnswer = await Answer.findById(answer._id)
-      .populate('answerer', 'username reputation role');
+    if (!history) {
+      throw new NotFoundError('Revision not found');
+    }
 
-    res.status(201).json(populatedAnswer);
+    res.json(history);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Accept answer (protected - only question asker)
-// PUT /api/questions/:questionId/answers/:answerId/accept
-router.put('/:answerId/accept', protect, async (req, res) => {
+// Roll answer back to an earlier revision (protected - answerer, or anyone with revision.rollback.any)
+// POST /api/questions/:questionId/answers/:answerId/revisions/:revision/rollback
+router.post('/:answerId/revisions/:revision/rollback', protect, validate({
+  params: { questionId: objectId(), answerId: objectId(), revision: int({ required: true, min: 1 }) }
+}), loadUser, async (req, res, next) => {
   try {
-    const answer = await Answer.findById(req.params.answerId);
+    const answer = await findAnswer(req.params);
 
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+      throw new NotFoundError('Answer not found');
     }
 
-    const question = await Question.findById(answer.questionId);
-
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+    if (!isOwnerOr(req.user, answer.answerer, 'revision.rollback.any')) {
+      throw new ForbiddenError('Not authorized to roll back this answer');
     }
 
-    // Check if user is the question asker
-    if (question.asker.toString() !== req.userId) {
-      return res.status(403).json({ error: 'Only the question asker can accept answers' });
-    }
+    const revisions = await listRevisions('answer', answer);
+    const revision = revisions.find(r => r.revision === Number(req.params.revision));
 
-    // Unaccept previous answer if exists
-    if (question.acceptedAnswer) {
-      const prevAnswer = await Answer.findById(question.acceptedAnswer);
-      if (prevAnswer) {
-        prevAnswer.isAccepted = false;
-        await prevAnswer.save();
-      }
+    if (!revision) {
+      throw new NotFoundError('Revision not found');
     }
 
-    // Accept new answer
-    answer.isAccepted = true;
-    await answer.save();
-
-    // Update question
-    question.acceptedAnswer = answer._id;
-    await question.save();
-
-    // Populate answer with answerer data
-    const populatedAnswer = await Answer.findById(answer._id)
-      .populate('answerer', 'username reputation role');
-
-    res.json(populatedAnswer);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Update answer (protected - only answerer)
-// PUT /api/questions/:questionId/answers/:answerId
-router.put('/:answerId', protect, async (req, res) => {
-  try {
-    const answer = await Answer.findById(req.params.answerId);
-
-    if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+    if (!contentChanged(snapshot('answer', answer), snapshot('answer', revision))) {
+      throw new BadRequestError(`Answer already matches revision ${revision.revision}`);
     }
 
-    // Check if user is the answerer
-    if (answer.answerer.toString() !== req.userId) {
-      return res.status(403).json({ error: 'Not authorized to update this answer' });
-    }
-
-    const { body } = req.body;
-
-    if (body) answer.body = body;
-    answer.updatedAt = Date.now();
-
-    await answer.save();
+    await rollbackToRevision({ targetType: 'answer', target: answer, revision, editorId: req.userId });
 
     const updatedAnswer = await Answer.findById(answer._id)
       .populate('answerer', 'username reputation role');
 
-    res.json(updatedAnswer);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Delete answer (protected - only answerer or admin)
-// DELETE /api/questions/:questionId/answers/:answerId
-router.delete('/:answerId', protect, async (req, res) => {
-  try {
-    const answer = await Answer.findById(req.params.answerId);
-
-    if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
-    }
-
-    // Get user to check role
-    const user = await User.findById(req.userId);
-    const isAdmin = user.role === 'admin';
-    const isAnswerer = answer.answerer.toString() === req.userId;
-
-    // Check if user is the answerer OR admin
-    if (!isAnswerer && !isAdmin) {
-      return res.status(403).json({ error: 'Not authorized to delete this answer' });
-    }
-
-    await answer.deleteOne();
-
-    res.json({ message: 'Answer deleted successfully' });
+    res.json({
+      message: `Answer rolled back to revision ${revision.revision}`,
+      answer: updatedAnswer
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
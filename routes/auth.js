@@ -1,35 +1,69 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
+const { ACCESS_TOKEN_EXPIRES_IN, protect } = require('../utils/auth');
+const { capabilitiesFor, loadUser } = require('../utils/permissions');
+const {
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { consumeToken, sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountTokens');
+const { LIMITS, string, boolean, objectId, email, validate } = require('../utils/validation');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors');
+const { rateLimit, lockedFor, recordFailedLogin, clearFailedLogins } = require('../utils/rateLimit');
+const { logger } = require('../utils/logger');
+
+const newPassword = () => string({ required: true, trim: false, ...LIMITS.password });
+const refreshTokenBody = validate({ body: { refreshToken: string({ required: true }) } });
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('signup'), validate({
+  body: {
+    username: string({
+      required: true,
+      ...LIMITS.username,
+      pattern: /^[\w.-]+$/,
+      patternMessage: 'may only contain letters, numbers, dots, dashes and underscores'
+    }),
+    email: email({ required: true }),
+    password: newPassword()
+  }
+}), async (req, res, next) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
-      return res.status(400).json({ error: 'Email already exists' });
+      throw new ConflictError('Email already exists', { code: 'EMAIL_TAKEN' });
     }
 
     // Check if username exists
     const usernameExists = await User.findOne({ username });
     if (usernameExists) {
-      return res.status(400).json({ error: 'Username already exists' });
+      throw new ConflictError('Username already exists', { code: 'USERNAME_TAKEN' });
     }
 
-    // Create user
+    // Create user - everyone starts as 'user'; roles are assigned by admins
     const user = await User.create({
       username,
       email,
-      password,
-      role: role || 'user'
+      password
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the email can't be sent - the user can ask for another
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Verification email failed:', mailError.message);
+    }
+
+    // Start a session (access token + refresh token)
+    const { token, refreshToken } = await createSession({ userId: user._id, req });
 
     res.status(201).json({
       _id: user._id,
@@ -37,34 +71,55 @@ router.post('/register', async (req, res) => {
       email: user.email,
       role: user.role,
       reputation: user.reputation,
-      token
+      emailVerified: user.emailVerified,
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Login
-router.post('/login', async (req, res) => {
+// Login - accounts lock for a while after repeated failed attempts
+router.post('/login', rateLimit('login'), validate({
+  body: {
+    email: email({ required: true }),
+    password: string({ required: true, trim: false })
+  }
+}), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+failedLoginAttempts +lockedUntil');
 
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const retryAfter = lockedFor(user);
+    if (retryAfter) {
+      throw new TooManyRequestsError(
+        'Account temporarily locked after too many failed logins',
+        { code: 'ACCOUNT_LOCKED', retryAfter }
+      );
     }
 
     // Check password
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      await recordFailedLogin(user._id);
+      throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      await clearFailedLogins(user._id);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session (access token + refresh token)
+    const { token, refreshToken } = await createSession({ userId: user._id, req });
 
     res.json({
       _id: user._id,
@@ -72,20 +127,200 @@ router.post('/login', async (req, res) => {
       email: user.email,
       role: user.role,
       reputation: user.reputation,
-      token
+      emailVerified: user.emailVerified,
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Get a new access token (and rotated refresh token)
+// Body: { refreshToken }
+router.post('/refresh', rateLimit('auth'), refreshTokenBody, async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await refreshSession({ refreshToken: req.body.refreshToken, req });
+
+    res.json({ token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout - revokes the session the refresh token belongs to
+// Body: { refreshToken }
+router.post('/logout', refreshTokenBody, async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's active sessions (protected)
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke every session - "log out everywhere" (protected)
+// Pass ?keepCurrent=true to stay logged in on this device
+router.delete('/sessions', protect, validate({ query: { keepCurrent: boolean({ default: false }) } }), async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions({
+      userId: req.userId,
+      exceptSessionId: req.query.keepCurrent ? req.sessionId : undefined
+    });
+
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one session (protected - own sessions only)
+router.delete('/sessions/:id', protect, validate({ params: { id: objectId() } }), async (req, res, next) => {
+  try {
+    const revoked = await revokeSession({ userId: req.userId, sessionId: req.params.id });
+
+    if (!revoked) {
+      throw new NotFoundError('Session not found');
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset email
+// Body: { email } - the response is the same whether or not the account exists
+router.post('/forgot-password', rateLimit('email'), validate({ body: { email: email({ required: true }) } }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // A mail failure must not answer differently from an unknown email
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        logger.error('Password reset email failed:', mailError.message);
+      }
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password with the token from the reset email
+// Body: { token, password } - every existing session is logged out and any login lockout lifted
+router.post('/reset-password', rateLimit('auth'), validate({
+  body: {
+    token: string({ required: true }),
+    password: newPassword()
+  }
+}), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeToken(token, 'password_reset');
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    user.password = password;
+    // The reset link proves the user can read mail sent to this address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+    await user.save();
+
+    await revokeAllSessions({ userId: user._id });
+    await clearFailedLogins(user._id);
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get current user (protected route example)
-router.get('/me', async (req, res) => {
+// Confirm an email address with the token from the verification email
+// Body: { token }
+router.post('/verify-email', rateLimit('auth'), validate({ body: { token: string({ required: true }) } }), async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId).select('-password');
-    res.json(user);
+    const userId = await consumeToken(req.body.token, 'email_verification');
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { emailVerified: true, emailVerifiedAt: Date.now() } },
+      { new: true }
+    ).select('username email emailVerified emailVerifiedAt');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({ message: 'Email verified', user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a fresh verification email (protected)
+router.post('/resend-verification', protect, rateLimit('email'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.emailVerified) {
+      throw new BadRequestError('Email is already verified');
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Verification email failed:', mailError.message);
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get current user with what they are allowed to do (protected)
+router.get('/me', protect, loadUser, async (req, res, next) => {
+  try {
+    res.json({
+      ...req.user.toObject(),
+      capabilities: capabilitiesFor(req.user)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const UserBadge = require('../models/UserBadge');
+const { BADGES, BADGES_BY_KEY, describeBadge } = require('../utils/badges');
+const { string, oneOf, pagination, validate } = require('../utils/validation');
+const { NotFoundError } = require('../utils/errors');
+const { paginate, sendPage } = require('../utils/pagination');
+
+// List every badge with how many times it has been awarded (public)
+// GET /api/badges?tier=bronze|silver|gold
+router.get('/', validate({ query: { tier: oneOf(['bronze', 'silver', 'gold']) } }), async (req, res, next) => {
+  try {
+    const { tier } = req.query;
+
+    const counts = await UserBadge.aggregate([
+      { $group: { _id: '$badge', awarded: { $sum: 1 }, holders: { $addToSet: '$user' } } },
+      { $project: { awarded: 1, holders: { $size: '$holders' } } }
+    ]);
+    const countsByKey = new Map(counts.map(count => [count._id, count]));
+
+    const badges = BADGES
+      .filter(badge => !tier || badge.tier === tier)
+      .map(badge => ({
+        ...describeBadge(badge),
+        awarded: countsByKey.get(badge.key)?.awarded || 0,
+        holders: countsByKey.get(badge.key)?.holders || 0
+      }));
+
+    res.json({ badges });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a badge with its most recent recipients (public)
+// GET /api/badges/:key?page=1&limit=20
+router.get('/:key', validate({
+  params: { key: string({ required: true, max: 50 }) },
+  query: pagination()
+}), async (req, res, next) => {
+  try {
+    const badge = BADGES_BY_KEY.get(req.params.key);
+
+    if (!badge) {
+      throw new NotFoundError('Badge not found');
+    }
+
+    const { page, limit, cursor } = req.query;
+
+    const result = await paginate(UserBadge, {
+      filter: { badge: badge.key },
+      sort: { awardedAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.populate('user', 'username reputation role')
+    });
+
+    sendPage(req, res, result, { ...describeBadge(badge), awards: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
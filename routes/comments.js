@@ -3,22 +3,29 @@ const router = express.Router();
 const Comment = require('../models/Comment');
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
-const User = require('../models/User');
 const { protect } = require('../utils/auth');
+const { isOwnerOr, loadUser } = require('../utils/permissions');
+const { notifyComment, notifyMentions } = require('../utils/notifications');
+const { evaluateBadges } = require('../utils/badges');
+const { publishToQuestion } = require('../utils/realtime');
+const { LIMITS, string, objectId, oneOf, validate } = require('../utils/validation');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { rateLimit, postingLimit } = require('../utils/rateLimit');
+const { adjustCommentCount } = require('../utils/counters');
+const { resolveMentions } = require('../utils/mentions');
+const { canViewTarget } = require('../utils/moderation');
 
 // Create comment (protected) ⭐ FIXED - Allow admin to comment
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, rateLimit('post'), validate({
+  body: {
+    body: string({ required: true, ...LIMITS.commentBody }),
+    targetType: oneOf(['question', 'answer'], { required: true }),
+    targetId: objectId()
+  }
+}), loadUser, postingLimit('comment'), async (req, res, next) => {
   try {
     const { body, targetType, targetId } = req.body;
 
-    if (!body) {
-      return res.status(400).json({ error: 'Comment body is required' });
-    }
-
-    if (!['question', 'answer'].includes(targetType)) {
-      return res.status(400).json({ error: 'Invalid target type' });
-    }
-
     // Check if target exists
     let target;
     if (targetType === 'question') {
@@ -27,54 +34,62 @@ router.post('/', protect, async (req, res) => {
       target = await Answer.findById(targetId);
     }
 
-    if (!target) {
-      return res.status(404).json({ error: `${targetType} not found` });
-    }
-
-    //Get user to verify they can comment
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!target || !(await canViewTarget(req.user, targetType, target))) {
+      throw new NotFoundError(`${targetType} not found`);
     }
 
     const comment = await Comment.create({
       body,
+      mentions: await resolveMentions(body),
       author: req.userId,
       targetType,
       targetId
     });
+    await adjustCommentCount(targetType, target._id, 1);
+
+    const questionId = targetType === 'question' ? target._id : target.questionId;
+
+    await notifyComment({ comment, target });
+    await notifyMentions({
+      mentions: comment.mentions,
+      actor: req.userId,
+      question: questionId,
+      answer: targetType === 'answer' ? target._id : undefined,
+      comment: comment._id,
+      skip: [targetType === 'question' ? target.asker : target.answerer]
+    });
+    await evaluateBadges(req.userId, 'post');
 
     const populatedComment = await Comment.findById(comment._id)
       .populate('author', 'username reputation');
 
+    publishToQuestion(questionId, 'comment.created', populatedComment);
+
     res.status(201).json(populatedComment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Delete comment (protected - author or admin) ⭐ FIXED
-router.delete('/:id', protect, async (req, res) => {
+// Delete comment (protected - author, or anyone with comment.delete.any)
+router.delete('/:id', protect, validate({ params: { id: objectId() } }), loadUser, async (req, res, next) => {
   try {
     const comment = await Comment.findById(req.params.id);
 
     if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
+      throw new NotFoundError('Comment not found');
     }
 
-    // Get user to check role ⭐ NEW
-    const user = await User.findById(req.userId);
-
-    // Check if user is the author OR admin ⭐ FIXED
-    if (comment.author.toString() !== req.userId && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    if (!isOwnerOr(req.user, comment.author, 'comment.delete.any')) {
+      throw new ForbiddenError('Not authorized to delete this comment');
     }
 
     await comment.deleteOne();
+    await adjustCommentCount(comment.targetType, comment.targetId, -1);
 
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
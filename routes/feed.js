@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { protect } = require('../utils/auth');
+const { buildFeed } = require('../utils/feed');
+const { LIMITS, string, int, validate } = require('../utils/validation');
+const { NotFoundError } = require('../utils/errors');
+const { sendPage } = require('../utils/pagination');
+
+// Get personalized activity feed (protected)
+// GET /api/feed?cursor=<nextCursor>&limit=20
+router.get('/', protect, validate({
+  query: {
+    cursor: string({ ...LIMITS.cursor }),
+    limit: int({ min: 1, max: 50, default: 20 })
+  }
+}), async (req, res, next) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const user = await User.findById(req.userId).select('following watchedTags');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const feed = await buildFeed({ user, cursor, limit });
+
+    sendPage(req, res, feed, { items: feed.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const Flag = require('../models/Flag');
+const { protect } = require('../utils/auth');
+const { requireCapability } = require('../utils/permissions');
+const { FLAG_REASONS, flagContent, resolveFlag } = require('../utils/moderation');
+const { LIMITS, string, objectId, oneOf, pagination, validate } = require('../utils/validation');
+const { NotFoundError } = require('../utils/errors');
+const { rateLimit } = require('../utils/rateLimit');
+const { paginate, sendPage } = require('../utils/pagination');
+
+const TARGET_TYPES = ['question', 'answer', 'comment'];
+
+const reviewNote = validate({
+  params: { id: objectId() },
+  body: { note: string({ ...LIMITS.note }) }
+});
+
+// Flag a question, answer or comment (protected)
+router.post('/', protect, rateLimit('flag'), validate({
+  body: {
+    targetType: oneOf(TARGET_TYPES, { required: true }),
+    targetId: objectId(),
+    reason: oneOf(FLAG_REASONS, { required: true }),
+    note: string({ ...LIMITS.note })
+  }
+}), async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, note } = req.body;
+
+    const { flag, autoHidden } = await flagContent({
+      userId: req.userId,
+      targetType,
+      targetId,
+      reason,
+      note
+    });
+
+    res.status(201).json({
+      message: autoHidden ? 'Flag recorded - content hidden pending review' : 'Flag recorded',
+      flag
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Review queue (protected - flag.review)
+// GET /api/flags?status=pending&reason=spam&targetType=answer&page=1&limit=20
+router.get('/', protect, validate({
+  query: {
+    ...pagination(),
+    status: oneOf(['pending', 'approved', 'dismissed'], { default: 'pending' }),
+    reason: oneOf(FLAG_REASONS),
+    targetType: oneOf(TARGET_TYPES)
+  }
+}), requireCapability('flag.review'), async (req, res, next) => {
+  try {
+    const { status, reason, targetType, page, limit, cursor } = req.query;
+
+    const query = { status };
+    if (reason) query.reason = reason;
+    if (targetType) query.targetType = targetType;
+
+    const result = await paginate(Flag, {
+      filter: query,
+      sort: { createdAt: 1 },
+      page,
+      limit,
+      cursor,
+      query: found => found
+        .populate('reporter', 'username reputation')
+        .populate('handledBy', 'username role')
+    });
+
+    sendPage(req, res, result, { flags: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single flag with its audit trail (protected - flag.review)
+router.get('/:id', protect, validate({ params: { id: objectId() } }), requireCapability('flag.review'), async (req, res, next) => {
+  try {
+    const flag = await Flag.findById(req.params.id)
+      .populate('reporter', 'username reputation')
+      .populate('handledBy', 'username role')
+      .populate('history.by', 'username role');
+
+    if (!flag) {
+      throw new NotFoundError('Flag not found');
+    }
+
+    res.json(flag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve a flag (protected - flag.review)
+router.post('/:id/approve', protect, reviewNote, requireCapability('flag.review'), async (req, res, next) => {
+  try {
+    const flag = await Flag.findById(req.params.id);
+
+    if (!flag) {
+      throw new NotFoundError('Flag not found');
+    }
+
+    const result = await resolveFlag({ flag, action: 'approve', moderatorId: req.userId, note: req.body.note });
+
+    res.json({ message: 'Flag approved', ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dismiss a flag (protected - flag.review)
+router.post('/:id/dismiss', protect, reviewNote, requireCapability('flag.review'), async (req, res, next) => {
+  try {
+    const flag = await Flag.findById(req.params.id);
+
+    if (!flag) {
+      throw new NotFoundError('Flag not found');
+    }
+
+    const result = await resolveFlag({ flag, action: 'dismiss', moderatorId: req.userId, note: req.body.note });
+
+    res.json({ message: 'Flag dismissed', ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
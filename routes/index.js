@@ -0,0 +1,20 @@
+// Every API router and where it is mounted. index.js mounts them in this order
+// and utils/openapi.js reads the same list to build the API specification.
+// `tag` groups the routes in the API docs.
+const API_ROUTES = [
+  { path: '/api/auth', router: require('./auth'), tag: 'Auth' },
+  { path: '/api/questions', router: require('./questions'), tag: 'Questions' },
+  { path: '/api/questions/:questionId/answers', router: require('./answers'), tag: 'Answers' },
+  { path: '/api/votes', router: require('./votes'), tag: 'Votes' },
+  { path: '/api/comments', router: require('./comments'), tag: 'Comments' },
+  { path: '/api/users', router: require('./users'), tag: 'Users' },
+  { path: '/api/search', router: require('./search'), tag: 'Search' },
+  { path: '/api/tags', router: require('./tags'), tag: 'Tags' },
+  { path: '/api/notifications', router: require('./notifications'), tag: 'Notifications' },
+  { path: '/api/feed', router: require('./feed'), tag: 'Feed' },
+  { path: '/api/flags', router: require('./flags'), tag: 'Flags' },
+  { path: '/api/badges', router: require('./badges'), tag: 'Badges' },
+  { path: '/api', router: require('./meta'), tag: 'Meta' }
+];
+
+module.exports = { API_ROUTES };
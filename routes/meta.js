@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { buildSpec } = require('../utils/openapi');
+
+// Built on first request - the route list is only complete once every router is loaded
+let spec;
+
+// Health check endpoint
+router.get('/test', (req, res) => {
+  res.json({ message: 'Backend is running!', environment: process.env.NODE_ENV });
+});
+
+// OpenAPI 3 document for the whole API
+router.get('/openapi.json', (req, res) => {
+  if (!spec) spec = buildSpec();
+  res.json(spec);
+});
+
+// Browsable API docs (Swagger UI, loaded from a CDN) for /api/openapi.json
+router.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>DevFlow API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { protect, protectStream } = require('../utils/auth');
+const { userChannel, openStream } = require('../utils/realtime');
+const { unreadCount } = require('../utils/notifications');
+const { boolean, objectId, pagination, validate } = require('../utils/validation');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { paginate, sendPage } = require('../utils/pagination');
+
+// Get current user's notifications (protected)
+// GET /api/notifications?unread=true&page=1&limit=20
+router.get('/', protect, validate({
+  query: { ...pagination(), unread: boolean({ default: false }) }
+}), async (req, res, next) => {
+  try {
+    const { page, limit, cursor, unread } = req.query;
+
+    const query = { recipient: req.userId };
+    if (unread) query.isRead = false;
+
+    const result = await paginate(Notification, {
+      filter: query,
+      sort: { createdAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found
+        .populate('actor', 'username reputation role')
+        .populate('question', 'title')
+        .populate('comment', 'body')
+    });
+
+    sendPage(req, res, result, {
+      notifications: result.items,
+      unreadCount: await unreadCount(req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get unread notification count (protected)
+router.get('/unread-count', protect, async (req, res, next) => {
+  try {
+    res.json({ unreadCount: await unreadCount(req.userId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live notifications over Server-Sent Events (protected)
+// EventSource clients pass the JWT as ?token=
+router.get('/stream', protectStream, async (req, res, next) => {
+  try {
+    const send = openStream(req, res, userChannel(req.userId), {
+      sessionId: req.sessionId,
+      expiresAt: req.tokenExpiresAt
+    });
+    send('connected', { unreadCount: await unreadCount(req.userId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read (protected)
+router.put('/read-all', protect, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.userId, isRead: false },
+      { $set: { isRead: true, readAt: Date.now() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as read (protected - recipient only)
+router.put('/:id/read', protect, validate({ params: { id: objectId() } }), async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (notification.recipient.toString() !== req.userId) {
+      throw new ForbiddenError('Not authorized to update this notification');
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.json({
+      notification,
+      unreadCount: await unreadCount(req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
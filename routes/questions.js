@@ -1,27 +1,74 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const User = require('../models/User');
 const Answer = require('../models/Answer');
 const Comment = require('../models/Comment');
-const User = require('../models/User');
+const Revision = require('../models/Revision');
+const Notification = require('../models/Notification');
+const Bounty = require('../models/Bounty');
+const CloseVote = require('../models/CloseVote');
 const { protect, optionalAuth } = require('../utils/auth');
+const { hasCapability, isOwnerOr, canViewPost, permissionMessage, loadUser, requireCapability } = require('../utils/permissions');
+const { publishToQuestion, questionChannel, openStream } = require('../utils/realtime');
+const { applyAccept, applyVerify, revokeVerify } = require('../utils/reputation');
+const { castVote } = require('../utils/voting');
+const { searchQuestions, escapeRegex } = require('../utils/search');
+const { resolveTags, updateTagUsage } = require('../utils/tags');
+const { notifyAnswer, notifyAccept, notifyVerify, notifyMentions } = require('../utils/notifications');
+const { offerBounty, awardBounty, cancelBounty } = require('../utils/bounties');
+const { POPULAR_QUESTION_VIEWS, evaluateBadges } = require('../utils/badges');
+const { CLOSE_REASONS, closeVoteCounts, voteToClose, voteToReopen, answersBlockedReason } = require('../utils/closing');
+const { snapshot, contentChanged, recordRevision, listRevisions, revisionHistory, rollbackToRevision } = require('../utils/revisions');
+const { LIMITS, string, int, objectId, oneOf, tagList, pagination, validate } = require('../utils/validation');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { rateLimit, postingLimit } = require('../utils/rateLimit');
+const { paginate, sendPage } = require('../utils/pagination');
+const { adjustAnswerCount } = require('../utils/counters');
+const { MAX_STATS_DAYS, recordView, viewStats, clearViews } = require('../utils/views');
+const { LIST_PROJECTION } = require('../utils/markdown');
+const { resolveMentions, addedMentions, participantIds } = require('../utils/mentions');
+
+const questionParams = validate({ params: { id: objectId() } });
+const answerParams = validate({ params: { id: objectId(), answerId: objectId() } });
+const revisionQuery = { from: int({ min: 1 }), to: int({ min: 1 }) };
 
 // Get all questions (public)
-router.get('/', async (req, res) => {
+// `search` accepts the query syntax from utils/search.js ([tag], user:name, is:answered, score:>5, "phrase")
+router.get('/', validate({
+  query: {
+    ...pagination({ limit: 10 }),
+    search: string({ max: 500 }),
+    tags: tagList({ maxItems: undefined }),
+    sort: oneOf(['newest', 'votes', 'views', 'featured', 'relevance'])
+  }
+}), async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search, tags, sort = 'newest' } = req.query;
-
-    let query = {};
+    const { page, limit, cursor, search, tags } = req.query;
+    const sort = req.query.sort || (search ? 'relevance' : 'newest');
 
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { body: { $regex: search, $options: 'i' } }
-      ];
+      const result = await searchQuestions({
+        q: search,
+        tags: tags ? await resolveTags(tags) : [],
+        page,
+        limit,
+        cursor,
+        sort
+      });
+
+      return sendPage(req, res, result, { questions: result.items });
     }
 
-    if (tags) {
-      const tagArray = tags.split(',');
+    let query = { isHidden: { $ne: true } };
+
+    // Featured - questions with an active bounty
+    if (sort === 'featured') {
+      query.bountyAmount = { $gt: 0 };
+    }
+
+    if (tags && tags.length > 0) {
+      const tagArray = await resolveTags(tags);
       query.tags = { $in: tagArray };
     }
 
@@ -32,425 +79,621 @@ router.get('/', async (req, res) => {
       sortOption = { isPinned: -1, votes: -1 };
     } else if (sort === 'views') {
       sortOption = { isPinned: -1, views: -1 };
+    } else if (sort === 'featured') {
+      sortOption = { bountyAmount: -1, bountyExpiresAt: 1 };
     } else {
       // Default sorting - pinned first
       sortOption = { isPinned: -1, createdAt: -1 };
     }
 
-    const questions = await Question.find(query)
-      .sort(sortOption)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('asker', 'username reputation')
-      .exec();
-
-    const count = await Question.countDocuments(query);
-
-    const questionsWithAnswers = await Promise.all(
-      questions.map(async (question) => {
-        const answerCount = await Answer.countDocuments({ questionId: question._id });
-        return {
-          ...question.toObject(),
-          answerCount
-        };
-      })
-    );
-
-    res.json({
-      questions: questionsWithAnswers,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+    const result = await paginate(Question, {
+      filter: query,
+      sort: sortOption,
+      page,
+      limit,
+      cursor,
+      query: found => found.select(LIST_PROJECTION).populate('asker', 'username reputation')
     });
+
+    sendPage(req, res, result, { questions: result.items });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get single question by ID (public)
-router.get('/:id', optionalAuth ,async (req, res) => {
+router.get('/:id', optionalAuth, questionParams, loadUser, async (req, res, next) => {
   try {
     const question = await Question.findById(req.params.id)
-      .populate('asker', 'username reputation role');
+      .populate('asker', 'username reputation role')
+      .populate('duplicateOf', 'title');
 
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      throw new NotFoundError('Question not found');
     }
 
-    // Initialize viewers array if it doesn't exist (for old questions)
-    if (!question.viewers) {
-      question.viewers = [];
+    // Moderators see hidden content; everyone else only sees their own
+    const isModerator = hasCapability(req.user, 'content.view_hidden');
+    const commentVisibility = isModerator
+      ? {}
+      : { $or: [{ isHidden: { $ne: true } }, ...(req.userId ? [{ author: req.userId }] : [])] };
+
+    if (!canViewPost(req.user, question, question.asker?._id)) {
+      throw new NotFoundError('Question not found');
     }
 
-    // Only increment views if user is logged in AND hasn't viewed before
-    if (req.userId) {
-      // Check if this user has already viewed this question
-      const hasViewed = question.viewers.some(viewer => viewer.toString() === req.userId.toString());
+    const view = await recordView(req, question);
+    question.views = view.views;
 
-      if (!hasViewed) {
-        // User hasn't viewed before, so add them and increment views
-        question.viewers.push(req.userId);
-        question.views += 1;
-      }
-      // If they have viewed before, don't increment
+    if (view.counted && view.views >= POPULAR_QUESTION_VIEWS) {
+      await evaluateBadges(question.asker?._id, 'view');
     }
-    // If not logged in (anonymous), we don't count the view
 
-    await question.save();
+    const answerVisibility = isModerator
+      ? {}
+      : { $or: [{ isHidden: { $ne: true } }, ...(req.userId ? [{ answerer: req.userId }] : [])] };
 
-    const answers = await Answer.find({ questionId: question._id })
+    const answers = await Answer.find({ questionId: question._id, ...answerVisibility })
       .populate('answerer', 'username reputation role')
       .populate('verifiedBy', 'username role')
       .sort({ isAccepted: -1, votes: -1 });
 
-    const answersWithComments = await Promise.all(
-      answers.map(async (answer) => {
-        const comments = await Comment.find({
-          targetType: 'answer',
-          targetId: answer._id
-        })
-          .populate('author', 'username reputation')
-          .sort({ createdAt: 1 });
-
-        return {
-          ...answer.toObject(),
-          comments
-        };
-      })
-    );
-
-    const questionComments = await Comment.find({
-      targetType: 'question',
-      targetId: question._id
+    // Comments on the question and on every answer in one query, grouped by target
+    const comments = await Comment.find({
+      $and: [
+        {
+          $or: [
+            { targetType: 'question', targetId: question._id },
+            { targetType: 'answer', targetId: { $in: answers.map(answer => answer._id) } }
+          ]
+        },
+        commentVisibility
+      ]
     })
       .populate('author', 'username reputation')
       .sort({ createdAt: 1 });
 
+    const commentsByTarget = new Map();
+    for (const comment of comments) {
+      const key = comment.targetId.toString();
+      if (!commentsByTarget.has(key)) commentsByTarget.set(key, []);
+      commentsByTarget.get(key).push(comment);
+    }
+
     res.json({
       ...question.toObject(),
-      answers: answersWithComments,
-      comments: questionComments
+      closeVotes: await closeVoteCounts(question._id),
+      answers: answers.map(answer => ({
+        ...answer.toObject(),
+        comments: commentsByTarget.get(answer._id.toString()) || []
+      })),
+      comments: commentsByTarget.get(question._id.toString()) || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// View stats for a question, per day (public)
+router.get('/:id/views', optionalAuth, validate({
+  params: { id: objectId() },
+  query: { days: int({ min: 1, max: MAX_STATS_DAYS, default: 30 }) }
+}), loadUser, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id).select('views asker isHidden');
+
+    if (!question || !canViewPost(req.user, question, question.asker)) {
+      throw new NotFoundError('Question not found');
+    }
+
+    res.json({
+      questionId: question._id,
+      totalViews: question.views,
+      days: await viewStats(question._id, req.query.days)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Username autocomplete for @mentions among a question's participants (public)
+// GET /api/questions/:id/participants?q=sa
+router.get('/:id/participants', optionalAuth, validate({
+  params: { id: objectId() },
+  query: { ...pagination({ limit: 10 }), q: string({ max: LIMITS.username.max }) }
+}), loadUser, async (req, res, next) => {
+  try {
+    const { q, page, limit, cursor } = req.query;
+    const question = await Question.findById(req.params.id).select('asker isHidden');
+
+    if (!question || !canViewPost(req.user, question, question.asker)) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const filter = { _id: { $in: await participantIds(question) } };
+    if (q) {
+      filter.username = new RegExp(`^${escapeRegex(q.replace(/^@/, ''))}`, 'i');
+    }
+
+    const result = await paginate(User, {
+      filter,
+      sort: { reputation: -1, username: 1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.select('username reputation role')
+    });
+
+    sendPage(req, res, result, { users: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live updates for a question page over Server-Sent Events (public)
+// Events: answer.created, comment.created, vote.updated, answer.accepted,
+// question.pinned, question.unpinned, answer.verified, answer.unverified.
+// Streams end with question.hidden when moderation hides the question.
+router.get('/:id/stream', questionParams, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id).select('votes isPinned acceptedAnswer isHidden');
+
+    // Streams are anonymous, so hidden questions can't be watched at all
+    if (!question || question.isHidden) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const send = openStream(req, res, questionChannel(question._id));
+    send('connected', {
+      questionId: question._id,
+      votes: question.votes,
+      isPinned: question.isPinned,
+      acceptedAnswer: question.acceptedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Create question (protected)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, rateLimit('post'), validate({
+  body: {
+    title: string({ required: true, ...LIMITS.title }),
+    body: string({ required: true, ...LIMITS.questionBody }),
+    tags: tagList()
+  }
+}), postingLimit('question'), async (req, res, next) => {
   try {
     const { title, body, tags } = req.body;
 
-    if (!title || !body) {
-      return res.status(400).json({ error: 'Title and body are required' });
-    }
+    const canonicalTags = await resolveTags(tags);
 
     const question = await Question.create({
       title,
       body,
-      tags: tags || [],
-      asker: req.userId,
-      viewers: [req.userId]
+      mentions: await resolveMentions(body),
+      tags: canonicalTags,
+      asker: req.userId
     });
 
+    await updateTagUsage([], canonicalTags);
+    await notifyMentions({ mentions: question.mentions, actor: req.userId, question: question._id });
+    await evaluateBadges(req.userId, 'post');
+
     const populatedQuestion = await Question.findById(question._id)
       .populate('asker', 'username reputation');
 
     res.status(201).json(populatedQuestion);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Update question (protected - only asker or admin)
-router.put('/:id', protect, async (req, res) => {
+// Update question (protected - asker, or anyone with question.edit.any)
+router.put('/:id', protect, validate({
+  params: { id: objectId() },
+  body: {
+    title: string({ ...LIMITS.title }),
+    body: string({ ...LIMITS.questionBody }),
+    tags: tagList(),
+    editSummary: string({ ...LIMITS.editSummary })
+  }
+}), loadUser, async (req, res, next) => {
   try {
     const question = await Question.findById(req.params.id);
 
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      throw new NotFoundError('Question not found');
     }
 
-    const user = await User.findById(req.userId);
-
-    if (question.asker.toString() !== req.userId && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to update this question' });
+    if (!isOwnerOr(req.user, question.asker, 'question.edit.any')) {
+      throw new ForbiddenError('Not authorized to update this question');
     }
 
-    const { title, body, tags } = req.body;
+    const { title, body, tags, editSummary } = req.body;
+    const previous = snapshot('question', question);
+
+    const previousMentions = [...question.mentions];
 
     if (title) question.title = title;
-    if (body) question.body = body;
-    if (tags) question.tags = tags;
+    if (body) {
+      question.body = body;
+      question.mentions = await resolveMentions(body);
+    }
+    if (tags) question.tags = await resolveTags(tags);
     question.updatedAt = Date.now();
 
     await question.save();
+    await updateTagUsage(previous.tags, question.tags);
+    await notifyMentions({
+      mentions: addedMentions(question.mentions, previousMentions),
+      actor: req.userId,
+      question: question._id
+    });
+
+    if (contentChanged(previous, snapshot('question', question))) {
+      await recordRevision({ targetType: 'question', target: question, previous, editorId: req.userId, editSummary });
+    }
 
     const updatedQuestion = await Question.findById(question._id)
       .populate('asker', 'username reputation');
 
     res.json(updatedQuestion);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Get question revisions with a diff between two of them (public)
+// GET /api/questions/:id/revisions?from=1&to=3
+router.get('/:id/revisions', optionalAuth, validate({ params: { id: objectId() }, query: revisionQuery }), loadUser, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !canViewPost(req.user, question, question.asker)) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const history = await revisionHistory('question', question, req.query);
+
+    if (!history) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    res.json(history);
+  } catch (error) {
+    next(error);
   }
 });
 
-// Delete question (protected - only asker or admin)
-router.delete('/:id', protect, async (req, res) => {
+// Roll question back to an earlier revision (protected - asker, or anyone with revision.rollback.any)
+router.post('/:id/revisions/:revision/rollback', protect, validate({
+  params: { id: objectId(), revision: int({ required: true, min: 1 }) }
+}), loadUser, async (req, res, next) => {
   try {
     const question = await Question.findById(req.params.id);
 
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      throw new NotFoundError('Question not found');
+    }
+
+    if (!isOwnerOr(req.user, question.asker, 'revision.rollback.any')) {
+      throw new ForbiddenError('Not authorized to roll back this question');
     }
 
-    const user = await User.findById(req.userId);
+    const revisions = await listRevisions('question', question);
+    const revision = revisions.find(r => r.revision === Number(req.params.revision));
 
-    if (question.asker.toString() !== req.userId && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this question' });
+    if (!revision) {
+      throw new NotFoundError('Revision not found');
     }
 
+    if (!contentChanged(snapshot('question', question), snapshot('question', revision))) {
+      throw new BadRequestError(`Question already matches revision ${revision.revision}`);
+    }
+
+    await rollbackToRevision({ targetType: 'question', target: question, revision, editorId: req.userId });
+
+    const updatedQuestion = await Question.findById(question._id)
+      .populate('asker', 'username reputation');
+
+    res.json({
+      message: `Question rolled back to revision ${revision.revision}`,
+      question: updatedQuestion
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete question (protected - asker, or anyone with question.delete.any)
+router.delete('/:id', protect, questionParams, loadUser, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    if (!isOwnerOr(req.user, question.asker, 'question.delete.any')) {
+      throw new ForbiddenError('Not authorized to delete this question');
+    }
+
+    const answerIds = await Answer.find({ questionId: question._id }).distinct('_id');
+
     await Answer.deleteMany({ questionId: question._id });
     await Comment.deleteMany({ targetType: 'question', targetId: question._id });
+    await Revision.deleteMany({ targetType: 'question', targetId: question._id });
+    await Revision.deleteMany({ targetType: 'answer', targetId: { $in: answerIds } });
+    await Notification.deleteMany({ question: question._id });
+    await cancelBounty(question._id);
+    await Bounty.deleteMany({ question: question._id });
+    await CloseVote.deleteMany({ question: question._id });
+    await clearViews(question._id);
 
     await question.deleteOne();
+    await updateTagUsage(question.tags, []);
 
     res.json({ message: 'Question deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // ============ ANSWER ROUTES ============
 
 // Create answer (protected)
-router.post('/:id/answers', protect, async (req, res) => {
+router.post('/:id/answers', protect, rateLimit('post'), validate({
+  params: { id: objectId() },
+  body: { body: string({ required: true, ...LIMITS.answerBody }) }
+}), postingLimit('answer'), async (req, res, next) => {
   try {
     const { body } = req.body;
 
-    if (!body) {
-      return res.status(400).json({ error: 'Answer body is required' });
+    const question = await Question.findById(req.params.id);
+    if (!question || !canViewPost(req.user, question, question.asker)) {
+      throw new NotFoundError('Question not found');
     }
 
-    const question = await Question.findById(req.params.id);
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+    const blocked = answersBlockedReason(question);
+    if (blocked) {
+      throw new ForbiddenError(blocked);
     }
 
     const answer = await Answer.create({
       body,
+      mentions: await resolveMentions(body),
       questionId: req.params.id,
+      questionHidden: question.isHidden,
       answerer: req.userId
     });
+    await adjustAnswerCount(question._id, 1);
+
+    await notifyAnswer({ question, answer });
+    await notifyMentions({
+      mentions: answer.mentions,
+      actor: req.userId,
+      question: question._id,
+      answer: answer._id,
+      skip: [question.asker]
+    });
+    await evaluateBadges(req.userId, 'post');
 
     const populatedAnswer = await Answer.findById(answer._id)
       .populate('answerer', 'username reputation role');
 
+    publishToQuestion(question._id, 'answer.created', populatedAnswer);
+
     res.status(201).json(populatedAnswer);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update answer (protected - only answerer)
-router.put('/:id/answers/:answerId', protect, async (req, res) => {
+router.put('/:id/answers/:answerId', protect, validate({
+  params: { id: objectId(), answerId: objectId() },
+  body: {
+    body: string({ required: true, ...LIMITS.answerBody }),
+    editSummary: string({ ...LIMITS.editSummary })
+  }
+}), async (req, res, next) => {
   try {
     const { body } = req.body;
 
-    if (!body) {
-      return res.status(400).json({ error: 'Answer body is required' });
-    }
-
     const answer = await Answer.findById(req.params.answerId);
 
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+      throw new NotFoundError('Answer not found');
     }
 
     if (answer.answerer.toString() !== req.userId) {
-      return res.status(403).json({ error: 'Not authorized to update this answer' });
+      throw new ForbiddenError('Not authorized to update this answer');
     }
 
+    const previous = snapshot('answer', answer);
+    const previousMentions = [...answer.mentions];
+
     answer.body = body;
+    answer.mentions = await resolveMentions(body);
     answer.updatedAt = Date.now();
     await answer.save();
 
+    await notifyMentions({
+      mentions: addedMentions(answer.mentions, previousMentions),
+      actor: req.userId,
+      question: answer.questionId,
+      answer: answer._id
+    });
+
+    if (contentChanged(previous, snapshot('answer', answer))) {
+      await recordRevision({
+        targetType: 'answer',
+        target: answer,
+        previous,
+        editorId: req.userId,
+        editSummary: req.body.editSummary
+      });
+    }
+
     const updatedAnswer = await Answer.findById(answer._id)
       .populate('answerer', 'username reputation role');
 
     res.json(updatedAnswer);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Delete answer (protected - only answerer or admin)
-router.delete('/:id/answers/:answerId', protect, async (req, res) => {
+// Delete answer (protected - answerer, or anyone with answer.delete.any)
+router.delete('/:id/answers/:answerId', protect, answerParams, loadUser, async (req, res, next) => {
   try {
     const answer = await Answer.findById(req.params.answerId);
 
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+      throw new NotFoundError('Answer not found');
     }
 
-    const user = await User.findById(req.userId);
-
-    if (answer.answerer.toString() !== req.userId && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this answer' });
+    if (!isOwnerOr(req.user, answer.answerer, 'answer.delete.any')) {
+      throw new ForbiddenError('Not authorized to delete this answer');
     }
 
     await answer.deleteOne();
+    await adjustAnswerCount(answer.questionId, -1);
     await Comment.deleteMany({ targetType: 'answer', targetId: req.params.answerId });
+    await Revision.deleteMany({ targetType: 'answer', targetId: answer._id });
+    await Notification.deleteMany({ answer: answer._id });
 
     res.json({ message: 'Answer deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // VOTING ROUTES 
 
 // UPVOTE QUESTION (protected)
-router.post('/:id/upvote', protect, async (req, res) => {
+router.post('/:id/upvote', protect, rateLimit('vote'), questionParams, async (req, res, next) => {
   try {
-    const question = await Question.findById(req.params.id);
-
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
-
-    if (question.asker.toString() === req.userId) {
-      return res.status(400).json({ error: 'You cannot vote on your own question' });
-    }
-
-    question.votes += 1;
-    await question.save();
+    const result = await castVote({
+      userId: req.userId,
+      targetType: 'question',
+      targetId: req.params.id,
+      value: 1
+    });
 
-    const updatedQuestion = await Question.findById(question._id)
+    const updatedQuestion = await Question.findById(req.params.id)
       .populate('asker', 'username reputation');
 
     res.json({
-      message: 'Question upvoted successfully',
+      message: result.action === 'removed' ? 'Vote removed' : 'Question upvoted successfully',
+      vote: result.value,
       question: updatedQuestion
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // DOWNVOTE QUESTION (protected)
-router.post('/:id/downvote', protect, async (req, res) => {
+router.post('/:id/downvote', protect, rateLimit('vote'), questionParams, async (req, res, next) => {
   try {
-    const question = await Question.findById(req.params.id);
-
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
-
-    if (question.asker.toString() === req.userId) {
-      return res.status(400).json({ error: 'You cannot vote on your own question' });
-    }
-
-    question.votes -= 1;
-    await question.save();
+    const result = await castVote({
+      userId: req.userId,
+      targetType: 'question',
+      targetId: req.params.id,
+      value: -1
+    });
 
-    const updatedQuestion = await Question.findById(question._id)
+    const updatedQuestion = await Question.findById(req.params.id)
       .populate('asker', 'username reputation');
 
     res.json({
-      message: 'Question downvoted successfully',
+      message: result.action === 'removed' ? 'Vote removed' : 'Question downvoted successfully',
+      vote: result.value,
       question: updatedQuestion
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // UPVOTE ANSWER (protected)
-router.post('/:id/answers/:answerId/upvote', protect, async (req, res) => {
+router.post('/:id/answers/:answerId/upvote', protect, rateLimit('vote'), answerParams, async (req, res, next) => {
   try {
-    const answer = await Answer.findById(req.params.answerId);
-
-    if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
-    }
-
-    if (answer.answerer.toString() === req.userId) {
-      return res.status(400).json({ error: 'You cannot vote on your own answer' });
-    }
-
-    answer.votes += 1;
-    await answer.save();
+    const result = await castVote({
+      userId: req.userId,
+      targetType: 'answer',
+      targetId: req.params.answerId,
+      value: 1
+    });
 
-    const updatedAnswer = await Answer.findById(answer._id)
+    const updatedAnswer = await Answer.findById(req.params.answerId)
       .populate('answerer', 'username reputation role');
 
     res.json({
-      message: 'Answer upvoted successfully',
+      message: result.action === 'removed' ? 'Vote removed' : 'Answer upvoted successfully',
+      vote: result.value,
       answer: updatedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // DOWNVOTE ANSWER (protected)
-router.post('/:id/answers/:answerId/downvote', protect, async (req, res) => {
+router.post('/:id/answers/:answerId/downvote', protect, rateLimit('vote'), answerParams, async (req, res, next) => {
   try {
-    const answer = await Answer.findById(req.params.answerId);
-
-    if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
-    }
-
-    if (answer.answerer.toString() === req.userId) {
-      return res.status(400).json({ error: 'You cannot vote on your own answer' });
-    }
-
-    answer.votes -= 1;
-    await answer.save();
+    const result = await castVote({
+      userId: req.userId,
+      targetType: 'answer',
+      targetId: req.params.answerId,
+      value: -1
+    });
 
-    const updatedAnswer = await Answer.findById(answer._id)
+    const updatedAnswer = await Answer.findById(req.params.answerId)
       .populate('answerer', 'username reputation role');
 
     res.json({
-      message: 'Answer downvoted successfully',
+      message: result.action === 'removed' ? 'Vote removed' : 'Answer downvoted successfully',
+      vote: result.value,
       answer: updatedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // ACCEPT ANSWER 
 
 // ACCEPT ANSWER (protected - only question asker can accept)
-router.put('/:id/answers/:answerId/accept', protect, async (req, res) => {
+router.put('/:id/answers/:answerId/accept', protect, answerParams, async (req, res, next) => {
   try {
     const { id, answerId } = req.params;
 
     const question = await Question.findById(id);
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      throw new NotFoundError('Question not found');
     }
 
     if (question.asker.toString() !== req.userId) {
-      return res.status(403).json({ error: 'Only the question asker can accept answers' });
+      throw new ForbiddenError('Only the question asker can accept answers');
     }
 
     const answer = await Answer.findById(answerId);
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+      throw new NotFoundError('Answer not found');
     }
 
     if (answer.questionId.toString() !== id) {
-      return res.status(400).json({ error: 'Answer does not belong to this question' });
+      throw new BadRequestError('Answer does not belong to this question');
     }
 
     // If there's already an accepted answer, unaccept it
+    let oldAcceptedAnswer = null;
     if (question.acceptedAnswer) {
-      const oldAcceptedAnswer = await Answer.findById(question.acceptedAnswer);
-      if (oldAcceptedAnswer) {
+      oldAcceptedAnswer = await Answer.findById(question.acceptedAnswer);
+      if (oldAcceptedAnswer && !oldAcceptedAnswer._id.equals(answer._id)) {
         oldAcceptedAnswer.isAccepted = false;
         await oldAcceptedAnswer.save();
       }
@@ -464,44 +707,214 @@ router.put('/:id/answers/:answerId/accept', protect, async (req, res) => {
     question.acceptedAnswer = answerId;
     await question.save();
 
+    await applyAccept({ question, answer, previousAnswer: oldAcceptedAnswer });
+
+    if (!oldAcceptedAnswer || !oldAcceptedAnswer._id.equals(answer._id)) {
+      await notifyAccept({ question, answer });
+      await evaluateBadges(answer.answerer, 'accept');
+    }
+
     const updatedAnswer = await Answer.findById(answerId)
       .populate('answerer', 'username reputation role');
 
+    publishToQuestion(question._id, 'answer.accepted', {
+      answerId: answer._id,
+      previousAnswerId: oldAcceptedAnswer ? oldAcceptedAnswer._id : null
+    });
+
     res.json({
       message: 'Answer accepted successfully',
       answer: updatedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-//  EXPERT FEATURES 
+// BOUNTIES
+
+// Get bounty history for a question (public)
+router.get('/:id/bounty', optionalAuth, questionParams, loadUser, async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id).select('asker isHidden');
+
+    if (!question || !canViewPost(req.user, question, question.asker)) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const bounties = await Bounty.find({ question: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('offeredBy', 'username reputation')
+      .populate('awardedTo', 'username reputation');
+
+    res.json({
+      active: bounties.find(bounty => bounty.status === 'active') || null,
+      bounties
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-// PIN QUESTION (protected - only expert or admin can pin their own questions)
-router.post('/:id/pin', protect, async (req, res) => {
+// OFFER BOUNTY (protected - only question asker, paid from their reputation)
+router.post('/:id/bounty', protect, validate({
+  params: { id: objectId() },
+  body: { amount: int({ required: true }) }
+}), async (req, res, next) => {
   try {
     const question = await Question.findById(req.params.id);
 
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      throw new NotFoundError('Question not found');
     }
 
-    // Check if user is expert or admin
-    const user = await User.findById(req.userId);
-    if (user.role !== 'expert' && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only experts and admins can pin questions' });
+    const bounty = await offerBounty({ question, userId: req.userId, amount: req.body.amount });
+
+    res.status(201).json({
+      message: `Bounty of ${bounty.amount} reputation offered`,
+      bounty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// AWARD BOUNTY (protected - only the user who offered it)
+router.post('/:id/bounty/award', protect, validate({
+  params: { id: objectId() },
+  body: { answerId: objectId() }
+}), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
     }
 
-    // Check if user is the question asker (for non-admins)
-    if (user.role !== 'admin' && question.asker.toString() !== req.userId) {
-      return res.status(403).json({ error: 'You can only pin your own questions' });
+    const bounty = await awardBounty({ question, answerId: req.body.answerId, userId: req.userId });
+
+    res.json({
+      message: `Bounty of ${bounty.amount} reputation awarded`,
+      bounty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// CLOSE / REOPEN
+
+// VOTE TO CLOSE (protected - question.close)
+// Body: { reason: 'duplicate'|'off_topic'|'needs_details'|'opinion_based', duplicateOf? }
+router.post('/:id/close', protect, validate({
+  params: { id: objectId() },
+  body: {
+    reason: oneOf(CLOSE_REASONS, { required: true }),
+    duplicateOf: objectId({ required: false })
+  }
+}), requireCapability('question.close'), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const { reason, duplicateOf } = req.body;
+
+    const result = await voteToClose({ question, user: req.user, reason, duplicateOf });
+
+    res.json({
+      message: result.closed ? 'Question closed' : 'Close vote recorded',
+      closed: result.closed,
+      closeVotes: result.votes,
+      question: result.question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// VOTE TO REOPEN (protected - question.close)
+router.post('/:id/reopen', protect, questionParams, requireCapability('question.close'), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const result = await voteToReopen({ question, user: req.user });
+
+    res.json({
+      message: result.reopened ? 'Question reopened' : 'Reopen vote recorded',
+      reopened: result.reopened,
+      closeVotes: result.votes,
+      question: result.question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// LOCK QUESTION (protected - question.lock)
+router.post('/:id/lock', protect, questionParams, requireCapability('question.lock'), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    question.isLocked = true;
+    await question.save();
+
+    res.json({ message: 'Question locked successfully', question });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// UNLOCK QUESTION (protected - question.lock)
+router.post('/:id/unlock', protect, questionParams, requireCapability('question.lock'), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    question.isLocked = false;
+    await question.save();
+
+    res.json({ message: 'Question unlocked successfully', question });
+  } catch (error) {
+    next(error);
+  }
+});
+
+//  EXPERT FEATURES 
+
+// PIN QUESTION (protected - question.pin, own questions only without question.pin.any)
+router.post('/:id/pin', protect, questionParams, requireCapability('question.pin'), async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    // Only question.pin.any can pin other users' questions
+    if (!isOwnerOr(req.user, question.asker, 'question.pin.any')) {
+      throw new ForbiddenError('You can only pin your own questions');
     }
 
     // Pin the question
     question.isPinned = true;
     await question.save();
 
+    publishToQuestion(question._id, 'question.pinned', { questionId: question._id });
+
     const updatedQuestion = await Question.findById(question._id)
       .populate('asker', 'username reputation role');
 
@@ -510,34 +923,30 @@ router.post('/:id/pin', protect, async (req, res) => {
       question: updatedQuestion
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// UNPIN QUESTION (protected - only expert or admin can unpin their own questions)
-router.post('/:id/unpin', protect, async (req, res) => {
+// UNPIN QUESTION (protected - question.pin, own questions only without question.pin.any)
+router.post('/:id/unpin', protect, questionParams, requireCapability('question.pin'), async (req, res, next) => {
   try {
     const question = await Question.findById(req.params.id);
 
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
-
-    // Check if user is expert or admin
-    const user = await User.findById(req.userId);
-    if (user.role !== 'expert' && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only experts and admins can unpin questions' });
+      throw new NotFoundError('Question not found');
     }
 
-    // Check if user is the question asker (for non-admins)
-    if (user.role !== 'admin' && question.asker.toString() !== req.userId) {
-      return res.status(403).json({ error: 'You can only unpin your own questions' });
+    // Only question.pin.any can unpin other users' questions
+    if (!isOwnerOr(req.user, question.asker, 'question.pin.any')) {
+      throw new ForbiddenError('You can only unpin your own questions');
     }
 
     // Unpin the question
     question.isPinned = false;
     await question.save();
 
+    publishToQuestion(question._id, 'question.unpinned', { questionId: question._id });
+
     const updatedQuestion = await Question.findById(question._id)
       .populate('asker', 'username reputation role');
 
@@ -546,73 +955,79 @@ router.post('/:id/unpin', protect, async (req, res) => {
       question: updatedQuestion
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// VERIFY ANSWER (protected - only expert or admin can verify answers)
-router.post('/:id/answers/:answerId/verify', protect, async (req, res) => {
+// VERIFY ANSWER (protected - answer.verify)
+router.post('/:id/answers/:answerId/verify', protect, answerParams, requireCapability('answer.verify'), async (req, res, next) => {
   try {
     const answer = await Answer.findById(req.params.answerId);
 
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
-    }
-
-    // Check if user is expert or admin
-    const user = await User.findById(req.userId);
-    if (user.role !== 'expert' && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only experts and admins can verify answers' });
+      throw new NotFoundError('Answer not found');
     }
 
-    // Experts cannot verify their own answers
-    if (user.role === 'expert' && answer.answerer.toString() === req.userId) {
-      return res.status(403).json({ error: 'You cannot verify your own answers' });
+    // Verifying your own answer needs answer.verify.own
+    if (answer.answerer.toString() === req.userId && !hasCapability(req.user, 'answer.verify.own')) {
+      throw new ForbiddenError(permissionMessage('answer.verify.own'));
     }
 
     // Verify the answer
+    const wasVerified = answer.isVerified;
     answer.isVerified = true;
     answer.verifiedBy = req.userId;
     await answer.save();
 
+    if (!wasVerified) {
+      await applyVerify({ answer, verifierId: req.userId });
+      await notifyVerify({ answer, verifierId: req.userId });
+      await evaluateBadges(answer.answerer, 'verify');
+    }
+
     const updatedAnswer = await Answer.findById(answer._id)
       .populate('answerer', 'username reputation role')
       .populate('verifiedBy', 'username role');
 
+    publishToQuestion(answer.questionId, 'answer.verified', {
+      answerId: answer._id,
+      verifiedBy: updatedAnswer.verifiedBy
+    });
+
     res.json({
       message: 'Answer verified successfully',
       answer: updatedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// UNVERIFY ANSWER (protected - only the expert/admin who verified can unverify)
-router.post('/:id/answers/:answerId/unverify', protect, async (req, res) => {
+// UNVERIFY ANSWER (protected - answer.verify; only the verifier without answer.unverify.any)
+router.post('/:id/answers/:answerId/unverify', protect, answerParams, requireCapability('answer.verify'), async (req, res, next) => {
   try {
     const answer = await Answer.findById(req.params.answerId);
 
     if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
-    }
-
-    // Check if user is expert or admin
-    const user = await User.findById(req.userId);
-    if (user.role !== 'expert' && user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only experts and admins can unverify answers' });
+      throw new NotFoundError('Answer not found');
     }
 
-    // Check if user is the one who verified it (or is admin)
-    if (user.role !== 'admin' && answer.verifiedBy?.toString() !== req.userId) {
-      return res.status(403).json({ error: 'Only the verifier can unverify this answer' });
+    if (!isOwnerOr(req.user, answer.verifiedBy, 'answer.unverify.any')) {
+      throw new ForbiddenError('Only the verifier can unverify this answer');
     }
 
     // Unverify the answer
+    const wasVerified = answer.isVerified;
     answer.isVerified = false;
     answer.verifiedBy = null;
     await answer.save();
 
+    if (wasVerified) {
+      await revokeVerify({ answer, verifierId: req.userId });
+    }
+
+    publishToQuestion(answer.questionId, 'answer.unverified', { answerId: answer._id });
+
     const updatedAnswer = await Answer.findById(answer._id)
       .populate('answerer', 'username reputation role');
 
@@ -621,7 +1036,7 @@ router.post('/:id/answers/:answerId/unverify', protect, async (req, res) => {
       answer: updatedAnswer
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { searchQuestions } = require('../utils/search');
+const { string, oneOf, pagination, validate } = require('../utils/validation');
+const { sendPage } = require('../utils/pagination');
+
+// Search questions and answers (public)
+// GET /api/search?q=[react] hooks is:answered score:>5&page=1&limit=10&sort=relevance
+// Continue with ?cursor=<nextCursor> instead of page
+router.get('/', validate({
+  query: {
+    ...pagination({ limit: 10 }),
+    q: string({ required: true, max: 500 }),
+    sort: oneOf(['relevance', 'newest', 'votes', 'views', 'featured'], { default: 'relevance' })
+  }
+}), async (req, res, next) => {
+  try {
+    const { q, page, limit, cursor, sort } = req.query;
+
+    const result = await searchQuestions({ q, page, limit, cursor, sort });
+
+    sendPage(req, res, result, { query: result.parsed, results: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { protect } = require('../utils/auth');
+const { requireCapability } = require('../utils/permissions');
+const { escapeRegex } = require('../utils/search');
+const { normalizeTagName, resolveTags, mergeSynonym } = require('../utils/tags');
+const { LIMITS, string, oneOf, pagination, validate } = require('../utils/validation');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate, sendPage } = require('../utils/pagination');
+
+const tagName = () => string({ required: true, ...LIMITS.tag });
+const tagParams = validate({ params: { name: tagName() } });
+
+// Get tags (public)
+// GET /api/tags?q=rea&sort=popular|name&page=1&limit=20
+router.get('/', validate({
+  query: {
+    ...pagination(),
+    q: string({ ...LIMITS.tag }),
+    sort: oneOf(['popular', 'name'], { default: 'popular' })
+  }
+}), async (req, res, next) => {
+  try {
+    const { q, sort, page, limit, cursor } = req.query;
+
+    let query = {};
+
+    // Prefix autocomplete over names and synonyms
+    if (q) {
+      const prefix = new RegExp(`^${escapeRegex(normalizeTagName(q))}`);
+      query = { $or: [{ name: prefix }, { synonyms: prefix }] };
+    }
+
+    const sortOption = sort === 'name' ? { name: 1 } : { usageCount: -1, name: 1 };
+
+    const result = await paginate(Tag, {
+      filter: query,
+      sort: sortOption,
+      page,
+      limit,
+      cursor,
+      query: found => found.select('-wiki')
+    });
+
+    sendPage(req, res, result, { tags: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single tag with its wiki (public) - synonyms resolve to the canonical tag
+router.get('/:name', tagParams, async (req, res, next) => {
+  try {
+    const name = normalizeTagName(req.params.name);
+
+    const tag = await Tag.findOne({ $or: [{ name }, { synonyms: name }] })
+      .populate('lastEditedBy', 'username');
+
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+
+    res.json({
+      ...tag.toObject(),
+      redirectedFrom: tag.name !== name ? name : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update tag description / wiki (protected - tag.edit)
+router.put('/:name', protect, validate({
+  params: { name: tagName() },
+  body: {
+    description: string({ ...LIMITS.tagDescription }),
+    wiki: string({ ...LIMITS.tagWiki })
+  }
+}), requireCapability('tag.edit'), async (req, res, next) => {
+  try {
+    const tag = await Tag.findOne({ name: normalizeTagName(req.params.name) });
+
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+
+    const { description, wiki } = req.body;
+
+    if (description !== undefined) tag.description = description;
+    if (wiki !== undefined) tag.wiki = wiki;
+    tag.lastEditedBy = req.userId;
+    tag.updatedAt = Date.now();
+
+    await tag.save();
+
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Watch a tag - its new questions show up in your feed (protected)
+router.post('/:name/watch', protect, tagParams, async (req, res, next) => {
+  try {
+    const [name] = await resolveTags([req.params.name]);
+
+    if (!name) {
+      throw new BadRequestError('Invalid tag name');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $addToSet: { watchedTags: name } },
+      { new: true }
+    ).select('watchedTags');
+
+    res.json({ message: `Watching '${name}'`, watchedTags: user.watchedTags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop watching a tag (protected)
+router.delete('/:name/watch', protect, tagParams, async (req, res, next) => {
+  try {
+    const [name] = await resolveTags([req.params.name]);
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $pull: { watchedTags: name } },
+      { new: true }
+    ).select('watchedTags');
+
+    res.json({ message: `Stopped watching '${name}'`, watchedTags: user.watchedTags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a synonym that maps to this tag (protected - tag.synonyms)
+router.post('/:name/synonyms', protect, validate({
+  params: { name: tagName() },
+  body: { synonym: tagName() }
+}), requireCapability('tag.synonyms'), async (req, res, next) => {
+  try {
+    const tag = await Tag.findOne({ name: normalizeTagName(req.params.name) });
+
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+
+    const synonym = normalizeTagName(req.body.synonym);
+
+    if (!synonym) {
+      throw new BadRequestError('Invalid synonym');
+    }
+
+    if (synonym === tag.name) {
+      throw new BadRequestError('A tag cannot be a synonym of itself');
+    }
+
+    const existing = await Tag.findOne({ synonyms: synonym });
+    if (existing) {
+      throw new ConflictError(`'${synonym}' is already a synonym of '${existing.name}'`);
+    }
+
+    const updatedTag = await mergeSynonym(tag, synonym);
+
+    res.status(201).json({
+      message: `'${synonym}' now maps to '${tag.name}'`,
+      tag: updatedTag
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a synonym (protected - tag.synonyms)
+router.delete('/:name/synonyms/:synonym', protect, validate({
+  params: { name: tagName(), synonym: tagName() }
+}), requireCapability('tag.synonyms'), async (req, res, next) => {
+  try {
+    const tag = await Tag.findOne({ name: normalizeTagName(req.params.name) });
+
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+
+    const synonym = normalizeTagName(req.params.synonym);
+
+    if (!tag.synonyms.includes(synonym)) {
+      throw new NotFoundError('Synonym not found');
+    }
+
+    tag.synonyms = tag.synonyms.filter(name => name !== synonym);
+    tag.updatedAt = Date.now();
+    await tag.save();
+
+    res.json({ message: 'Synonym removed', tag });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
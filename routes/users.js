@@ -3,20 +3,53 @@ const router = express.Router();
 const User = require('../models/User');
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
-const { protect } = require('../utils/auth');
+const ReputationEvent = require('../models/ReputationEvent');
+const UserBadge = require('../models/UserBadge');
+const RoleChange = require('../models/RoleChange');
+const { protect, optionalAuth } = require('../utils/auth');
+const { dailyBreakdown } = require('../utils/reputation');
+const { ROLES, hasCapability, isOwnerOr, loadUser, requireCapability } = require('../utils/permissions');
+const { LIMITS, string, objectId, oneOf, pagination, validate } = require('../utils/validation');
+const { BADGES_BY_KEY, describeBadge, badgeSummary } = require('../utils/badges');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate, sendPage } = require('../utils/pagination');
+
+const userParams = validate({ params: { id: objectId() } });
+const userPage = (limit) => validate({ params: { id: objectId() }, query: pagination({ limit }) });
+
+// Hidden posts are only listed for their author and for `content.view_hidden`
+const profileVisibility = (req) => {
+  return isOwnerOr(req.user, req.params.id, 'content.view_hidden') ? {} : { isHidden: { $ne: true } };
+};
+
+// Answers on hidden questions are hidden along with them, even for their author
+const answerVisibility = (req) => {
+  const filter = profileVisibility(req);
+  if (!hasCapability(req.user, 'content.view_hidden')) filter.questionHidden = { $ne: true };
+  return filter;
+};
 
 // Get user profile by ID (public)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, userParams, loadUser, async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
 
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
-    // Count user's questions and answers
-    const questionsCount = await Question.countDocuments({ asker: user._id });
-    const answersCount = await Answer.countDocuments({ answerer: user._id });
+    // Count the user's questions and answers the viewer can see
+    const questionsCount = await Question.countDocuments({ asker: user._id, ...profileVisibility(req) });
+    const answersCount = await Answer.countDocuments({ answerer: user._id, ...answerVisibility(req) });
+
+    // Follow counts
+    const followersCount = await User.countDocuments({ following: user._id });
+    const followingCount = user.following.length;
+
+    let isFollowing = false;
+    if (req.userId) {
+      isFollowing = await User.exists({ _id: req.userId, following: user._id }) !== null;
+    }
 
     res.json({
       _id: user._id,
@@ -29,48 +62,59 @@ router.get('/:id', async (req, res) => {
       role: user.role,
       createdAt: user.createdAt,
       questionsCount,
-      answersCount
+      answersCount,
+      followersCount,
+      followingCount,
+      isFollowing,
+      badges: await badgeSummary(user._id)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// ⭐ Update user role (protected - admin or self only)
+// ⭐ Update user role (protected - user.role.assign)
+// Body: { role, reason? } - every change is recorded in the role history
 // NOTE: This route must come BEFORE /:id to avoid route conflicts
-router.put('/:id/role', protect, async (req, res) => {
+router.put('/:id/role', protect, validate({
+  params: { id: objectId() },
+  body: {
+    role: oneOf(ROLES, { required: true }),
+    reason: string({ ...LIMITS.note })
+  }
+}), requireCapability('user.role.assign'), async (req, res, next) => {
   try {
-    const { role } = req.body;
+    const { role, reason } = req.body;
 
-    // Validate role
-    if (!['user', 'expert', 'admin'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be user, expert, or admin' });
-    }
-
-    // Get current user to check if admin
-    const currentUser = await User.findById(req.userId);
-    if (!currentUser) {
-      return res.status(404).json({ error: 'Current user not found' });
-    }
-
-    // Check authorization: only admin or self can change role
-    const isOwnProfile = req.params.id === req.userId;
-    const isAdmin = currentUser.role === 'admin';
-
-    if (!isOwnProfile && !isAdmin) {
-      return res.status(403).json({ error: 'Not authorized to change this user\'s role' });
+    // Stops the last admin from locking everyone out by demoting themselves
+    if (req.params.id === req.userId) {
+      throw new ForbiddenError('You cannot change your own role');
     }
 
     // Get target user
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.role === role) {
+      throw new BadRequestError(`User is already ${role}`);
     }
 
+    const previousRole = user.role;
+
     // Update role
     user.role = role;
     await user.save();
 
+    await RoleChange.create({
+      user: user._id,
+      previousRole,
+      newRole: role,
+      changedBy: req.userId,
+      reason
+    });
+
     const updatedUser = await User.findById(user._id).select('-password');
 
     res.json({
@@ -78,22 +122,34 @@ router.put('/:id/role', protect, async (req, res) => {
       user: updatedUser
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update user profile (protected - own profile only)
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, validate({
+  params: { id: objectId() },
+  body: {
+    username: string({
+      ...LIMITS.username,
+      pattern: /^[\w.-]+$/,
+      patternMessage: 'may only contain letters, numbers, dots, dashes and underscores'
+    }),
+    bio: string({ ...LIMITS.profileText }),
+    title: string({ max: 100 }),
+    location: string({ max: 100 })
+  }
+}), async (req, res, next) => {
   try {
     // Check if user is updating their own profile
     if (req.params.id !== req.userId) {
-      return res.status(403).json({ error: 'Not authorized to update this profile' });
+      throw new ForbiddenError('Not authorized to update this profile');
     }
 
     const user = await User.findById(req.params.id);
 
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
     const { username, bio, title, location } = req.body;
@@ -102,7 +158,7 @@ router.put('/:id', protect, async (req, res) => {
     if (username && username !== user.username) {
       const usernameExists = await User.findOne({ username });
       if (usernameExists) {
-        return res.status(400).json({ error: 'Username already taken' });
+        throw new ConflictError('Username already taken', { code: 'USERNAME_TAKEN' });
       }
       user.username = username;
     }
@@ -117,67 +173,218 @@ router.put('/:id', protect, async (req, res) => {
 
     res.json(updatedUser);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get user's questions (public)
-router.get('/:id/questions', async (req, res) => {
+router.get('/:id/questions', optionalAuth, userPage(10), loadUser, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const questions = await Question.find({ asker: req.params.id })
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('asker', 'username reputation');
-
-    const count = await Question.countDocuments({ asker: req.params.id });
-
-    // Count answers for each question
-    const questionsWithAnswers = await Promise.all(
-      questions.map(async (question) => {
-        const answerCount = await Answer.countDocuments({ questionId: question._id });
-        return {
-          ...question.toObject(),
-          answerCount
-        };
-      })
-    );
-
-    res.json({
-      questions: questionsWithAnswers,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+    const { page, limit, cursor } = req.query;
+
+    const result = await paginate(Question, {
+      filter: { asker: req.params.id, ...profileVisibility(req) },
+      sort: { createdAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.populate('asker', 'username reputation')
     });
+
+    sendPage(req, res, result, { questions: result.items });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get user's answers (public)
-router.get('/:id/answers', async (req, res) => {
+router.get('/:id/answers', optionalAuth, userPage(10), loadUser, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page, limit, cursor } = req.query;
+
+    const result = await paginate(Answer, {
+      filter: { answerer: req.params.id, ...answerVisibility(req) },
+      sort: { createdAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found
+        .populate('answerer', 'username reputation')
+        .populate('questionId', 'title')
+    });
 
-    const answers = await Answer.find({ answerer: req.params.id })
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('answerer', 'username reputation')
-      .populate('questionId', 'title');
+    sendPage(req, res, result, { answers: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const count = await Answer.countDocuments({ answerer: req.params.id });
+// Follow a user (protected)
+router.post('/:id/follow', protect, userParams, async (req, res, next) => {
+  try {
+    if (req.params.id === req.userId) {
+      throw new BadRequestError('You cannot follow yourself');
+    }
 
-    res.json({
-      answers,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await User.updateOne({ _id: req.userId }, { $addToSet: { following: user._id } });
+
+    const followersCount = await User.countDocuments({ following: user._id });
+
+    res.json({ message: `You are now following ${user.username}`, isFollowing: true, followersCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unfollow a user (protected)
+router.delete('/:id/follow', protect, userParams, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await User.updateOne({ _id: req.userId }, { $pull: { following: user._id } });
+
+    const followersCount = await User.countDocuments({ following: user._id });
+
+    res.json({ message: `You unfollowed ${user.username}`, isFollowing: false, followersCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's followers (public)
+router.get('/:id/followers', userPage(20), async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+
+    const result = await paginate(User, {
+      filter: { following: req.params.id },
+      sort: { username: 1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.select('username reputation role title')
+    });
+
+    sendPage(req, res, result, { followers: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get users this user follows (public)
+router.get('/:id/following', userPage(20), async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+
+    const user = await User.findById(req.params.id).select('following');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await paginate(User, {
+      filter: { _id: { $in: user.following } },
+      sort: { username: 1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.select('username reputation role title')
+    });
+
+    sendPage(req, res, result, { following: result.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's reputation history (public)
+router.get('/:id/reputation', userPage(20), async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+
+    const user = await User.findById(req.params.id).select('username reputation');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await paginate(ReputationEvent, {
+      filter: { user: user._id },
+      sort: { createdAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.populate('actor', 'username')
+    });
+
+    const daily = await dailyBreakdown(user._id);
+
+    sendPage(req, res, result, {
+      userId: user._id,
+      username: user.username,
+      reputation: user.reputation,
+      events: result.items,
+      daily
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's role change history (protected - user.role.assign)
+router.get('/:id/role-history', protect, userParams, requireCapability('user.role.assign'), async (req, res, next) => {
+  try {
+    const changes = await RoleChange.find({ user: req.params.id })
+      .populate('changedBy', 'username role')
+      .sort({ createdAt: -1 });
+
+    res.json({ changes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get every badge a user has earned, newest first (public)
+router.get('/:id/badges', userPage(20), async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+
+    const user = await User.findById(req.params.id).select('username');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await paginate(UserBadge, {
+      filter: { user: user._id },
+      sort: { awardedAt: -1 },
+      page,
+      limit,
+      cursor,
+      query: found => found.lean()
+    });
+
+    sendPage(req, res, result, {
+      userId: user._id,
+      username: user.username,
+      summary: await badgeSummary(user._id),
+      awards: result.items.map(award => ({
+        ...award,
+        badge: BADGES_BY_KEY.has(award.badge) ? describeBadge(BADGES_BY_KEY.get(award.badge)) : { key: award.badge }
+      }))
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -1,88 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const Vote = require('../models/Vote');
-const Question = require('../models/Question');
-const Answer = require('../models/Answer');
 const { protect } = require('../utils/auth');
+const { requireCapability } = require('../utils/permissions');
+const { castVote, recountVotes } = require('../utils/voting');
+const { int, objectId, oneOf, validate } = require('../utils/validation');
+const { rateLimit } = require('../utils/rateLimit');
+
+const voteTarget = () => oneOf(['question', 'answer'], { required: true });
 
 // Vote on question or answer (protected)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, rateLimit('vote'), validate({
+  body: {
+    targetType: voteTarget(),
+    targetId: objectId(),
+    value: int({ required: true, enum: [1, -1] })
+  }
+}), async (req, res, next) => {
   try {
     const { targetType, targetId, value } = req.body;
 
-    // Validate input
-    if (!['question', 'answer'].includes(targetType)) {
-      return res.status(400).json({ error: 'Invalid target type' });
-    }
-
-    if (![1, -1].includes(value)) {
-      return res.status(400).json({ error: 'Vote value must be 1 or -1' });
-    }
+    const result = await castVote({ userId: req.userId, targetType, targetId, value });
 
-    // Check if target exists
-    let target;
-    if (targetType === 'question') {
-      target = await Question.findById(targetId);
-    } else {
-      target = await Answer.findById(targetId);
+    if (result.action === 'removed') {
+      return res.json({ message: 'Vote removed', votes: result.votes });
     }
 
-    if (!target) {
-      return res.status(404).json({ error: `${targetType} not found` });
-    }
-
-    // Check if user already voted
-    const existingVote = await Vote.findOne({
-      user: req.userId,
-      targetType,
-      targetId
-    });
-
-    if (existingVote) {
-      // If same vote, remove it (toggle off)
-      if (existingVote.value === value) {
-        await existingVote.deleteOne();
-        
-        // Update vote count
-        target.votes -= value;
-        await target.save();
-
-        return res.json({ message: 'Vote removed', votes: target.votes });
-      } else {
-        // Change vote (upvote to downvote or vice versa)
-        const diff = value - existingVote.value; // Will be 2 or -2
-        
-        existingVote.value = value;
-        await existingVote.save();
-
-        // Update vote count
-        target.votes += diff;
-        await target.save();
-
-        return res.json({ message: 'Vote updated', votes: target.votes });
-      }
+    if (result.action === 'updated') {
+      return res.json({ message: 'Vote updated', votes: result.votes });
     }
 
-    // Create new vote
-    const vote = await Vote.create({
-      user: req.userId,
-      targetType,
-      targetId,
-      value
-    });
+    res.status(201).json({ message: 'Vote recorded', votes: result.votes });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update vote count
-    target.votes += value;
-    await target.save();
+// Recompute vote counters from Vote documents (protected - vote.recount)
+router.post('/recount', protect, requireCapability('vote.recount'), async (req, res, next) => {
+  try {
+    const fixed = await recountVotes();
 
-    res.status(201).json({ message: 'Vote recorded', votes: target.votes });
+    res.json({ message: 'Vote counters recomputed', fixed });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get user's vote on a specific target (protected)
-router.get('/:targetType/:targetId', protect, async (req, res) => {
+router.get('/:targetType/:targetId', protect, validate({
+  params: { targetType: voteTarget(), targetId: objectId() }
+}), async (req, res, next) => {
   try {
     const { targetType, targetId } = req.params;
 
@@ -98,7 +66,7 @@ router.get('/:targetType/:targetId', protect, async (req, res) => {
 
     res.json({ voted: true, value: vote.value });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
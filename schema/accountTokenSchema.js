@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (see utils/accountTokens.js)
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  // SHA-256 of the token; the token itself only exists in the email
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB removes tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = accountTokenSchema;
@@ -1,15 +1,34 @@
 const mongoose = require('mongoose');
+const codeBlockSchema = require('./codeBlockSchema');
+const mentionSchema = require('./mentionSchema');
+const { renderPost } = require('../utils/markdown');
 
 const answerSchema = new mongoose.Schema({
   questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
   answerer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  body: { type: String, required: true },
+  body: { type: String, required: true },   // markdown source
+  // Rendered from `body` on save (see utils/markdown.js)
+  bodyHtml: String,
+  codeBlocks: [codeBlockSchema],
+  mentions: [mentionSchema],   // users @mentioned in `body`, linked in `bodyHtml`
   votes: { type: Number, default: 0 },
+  commentCount: { type: Number, default: 0 },   // kept up to date on write (see utils/counters.js)
   isAccepted: { type: Boolean, default: false },
   isVerified: { type: Boolean, default: false },          
   verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, 
+  isHidden: { type: Boolean, default: false },   // hidden by moderation (see utils/moderation.js)
+  questionHidden: { type: Boolean, default: false },   // copy of the question's isHidden, for filtering lists
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+answerSchema.pre('validate', function() {
+  if (this.isModified('body') || this.isModified('mentions')) {
+    Object.assign(this, renderPost(this.body, { mentions: this.mentions }));
+  }
+});
+
+// Full-text search index (see utils/search.js)
+answerSchema.index({ body: 'text' }, { name: 'answer_text' });
+
 module.exports = answerSchema;
\ No newline at end of file
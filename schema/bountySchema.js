@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const bountySchema = new mongoose.Schema({
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  offeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['active', 'awarded', 'expired'], default: 'active' },
+  expiresAt: { type: Date, required: true },
+  awardedAnswer: { type: mongoose.Schema.Types.ObjectId, ref: 'Answer' },
+  awardedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  awardedAt: Date,
+  autoAwarded: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+bountySchema.index({ status: 1, expiresAt: 1 });
+bountySchema.index({ question: 1, status: 1 });
+// One active bounty per question, even when two offers race
+bountySchema.index({ question: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = bountySchema;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const closeVoteSchema = new mongoose.Schema({
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['close', 'reopen'], required: true },
+  reason: { type: String, enum: ['duplicate', 'off_topic', 'needs_details', 'opinion_based'] },
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+  // Set once the vote round it belongs to has closed or reopened the question
+  resolved: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One open vote per user per question and vote type
+closeVoteSchema.index(
+  { question: 1, user: 1, type: 1 },
+  { unique: true, partialFilterExpression: { resolved: false } }
+);
+
+module.exports = closeVoteSchema;
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// A fenced code block from a post's markdown (see utils/markdown.js)
+const codeBlockSchema = new mongoose.Schema({
+  language: String,   // from the fence ("```js"), null when not given
+  code: String
+}, { _id: false });
+
+module.exports = codeBlockSchema;
@@ -1,11 +1,22 @@
 const mongoose = require('mongoose');
+const mentionSchema = require('./mentionSchema');
+const { renderComment } = require('../utils/markdown');
 
 const commentSchema = new mongoose.Schema({
-  body: { type: String, required: true },
+  body: { type: String, required: true },   // markdown source, inline only
+  bodyHtml: String,                         // rendered from `body` on save (see utils/markdown.js)
+  mentions: [mentionSchema],                // users @mentioned in `body`, linked in `bodyHtml`
   author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   targetType: { type: String, enum: ['question', 'answer'], required: true },
   targetId: mongoose.Schema.Types.ObjectId,
+  isHidden: { type: Boolean, default: false },   // hidden by moderation (see utils/moderation.js)
   createdAt: { type: Date, default: Date.now }
 });
 
+commentSchema.pre('validate', function() {
+  if (this.isModified('body') || this.isModified('mentions')) {
+    Object.assign(this, renderComment(this.body, { mentions: this.mentions }));
+  }
+});
+
 module.exports = commentSchema;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const flagSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['question', 'answer', 'comment'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'duplicate', 'low_quality', 'other'],
+    required: true
+  },
+  note: String,
+  status: { type: String, enum: ['pending', 'approved', 'dismissed'], default: 'pending' },
+  handledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  handledAt: Date,
+  // Audit trail of everything that happened to this flag
+  history: [{
+    action: { type: String, enum: ['created', 'auto_hidden', 'approved', 'dismissed'] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String,
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One flag per user per post
+flagSchema.index({ reporter: 1, targetType: 1, targetId: 1 }, { unique: true });
+flagSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = flagSchema;
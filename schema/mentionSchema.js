@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// An @username mention in a post (see utils/mentions.js)
+const mentionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true }   // as written in the post
+}, { _id: false });
+
+module.exports = mentionSchema;
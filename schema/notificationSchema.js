@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: {
+    type: String,
+    enum: ['answer', 'comment', 'accept', 'verify', 'bounty', 'badge', 'mention'],
+    required: true
+  },
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+  answer: { type: mongoose.Schema.Types.ObjectId, ref: 'Answer' },
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  badge: String,   // badge key for 'badge' notifications
+  isRead: { type: Boolean, default: false },
+  readAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+module.exports = notificationSchema;
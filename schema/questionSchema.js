@@ -1,18 +1,49 @@
 const mongoose = require('mongoose');
+const codeBlockSchema = require('./codeBlockSchema');
+const mentionSchema = require('./mentionSchema');
+const { renderPost, excerptOf } = require('../utils/markdown');
 
 const questionSchema = new mongoose.Schema({
   title: { type: String, required: true },
-  body: { type: String, required: true },
+  body: { type: String, required: true },   // markdown source
+  // Rendered from `body` on save (see utils/markdown.js)
+  bodyHtml: String,
+  excerpt: String,
+  codeBlocks: [codeBlockSchema],
+  mentions: [mentionSchema],   // users @mentioned in `body`, linked in `bodyHtml`
   asker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   tags: [String],
   votes: { type: Number, default: 0 },
   views: { type: Number, default: 0 },
-  viewers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Kept up to date on write (see utils/counters.js) so lists don't count per question
+  answerCount: { type: Number, default: 0 },
+  commentCount: { type: Number, default: 0 },
   acceptedAnswer: { type: mongoose.Schema.Types.ObjectId, ref: 'Answer' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   isLocked: { type: Boolean, default: false },
-  isPinned: { type: Boolean, default: false }
+  // Closed by vote (see utils/closing.js)
+  isClosed: { type: Boolean, default: false },
+  closedReason: { type: String, enum: ['duplicate', 'off_topic', 'needs_details', 'opinion_based'] },
+  closedAt: Date,
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+  isPinned: { type: Boolean, default: false },
+  // Active bounty (see schema/bountySchema.js), kept here for the "featured" sort
+  bountyAmount: { type: Number, default: 0 },
+  bountyExpiresAt: Date,
+  isHidden: { type: Boolean, default: false }   // hidden by moderation (see utils/moderation.js)
 });
 
+questionSchema.pre('validate', function() {
+  if (this.isModified('body') || this.isModified('mentions')) {
+    Object.assign(this, renderPost(this.body, { mentions: this.mentions }), { excerpt: excerptOf(this.body) });
+  }
+});
+
+// Full-text search index (see utils/search.js)
+questionSchema.index(
+  { title: 'text', tags: 'text', body: 'text' },
+  { weights: { title: 10, tags: 5, body: 1 }, name: 'question_text' }
+);
+
 module.exports = questionSchema;
\ No newline at end of file
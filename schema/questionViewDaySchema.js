@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Counted views of a question on one (UTC) day, for view stats over time
+const questionViewDaySchema = new mongoose.Schema({
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  date: { type: String, required: true },   // YYYY-MM-DD
+  views: { type: Number, default: 0 },
+  registered: { type: Number, default: 0 },  // views by signed-in users
+  anonymous: { type: Number, default: 0 }
+});
+
+questionViewDaySchema.index({ question: 1, date: 1 }, { unique: true });
+
+module.exports = questionViewDaySchema;
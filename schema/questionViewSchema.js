@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A counted view of a question (see utils/views.js). While it exists, the same
+// viewer's views don't count again; MongoDB removes it once it expires.
+const questionViewSchema = new mongoose.Schema({
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  // 'user:<id>', or 'anon:<hash>' for anonymous viewers
+  viewer: { type: String, required: true },
+  viewedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// One view per viewer per question at a time
+questionViewSchema.index({ question: 1, viewer: 1 }, { unique: true });
+questionViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = questionViewSchema;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Every event but the opening balance comes from a question or answer
+function hasTarget() {
+  return this.type !== 'opening_balance';
+}
+
+const reputationEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: [
+      'question_upvoted',
+      'question_downvoted',
+      'answer_upvoted',
+      'answer_downvoted',
+      'answer_accepted',
+      'accepted_answer',
+      'answer_verified',
+      'bounty_offered',
+      'bounty_awarded',
+      'opening_balance'   // reputation earned before the ledger existed
+    ],
+    required: true
+  },
+  points: { type: Number, required: true },
+  targetType: { type: String, enum: ['question', 'answer'], required: hasTarget },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: hasTarget },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isReversal: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+// At most one opening balance per user
+reputationEventSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { type: 'opening_balance' }, name: 'one_opening_balance' }
+);
+
+module.exports = reputationEventSchema;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const revisionSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['question', 'answer'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  revision: { type: Number, required: true },
+  editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  editSummary: String,
+  // Content snapshot as of this revision (title/tags only for questions)
+  title: String,
+  body: { type: String, required: true },
+  tags: { type: [String], default: undefined },
+  createdAt: { type: Date, default: Date.now }
+});
+
+revisionSchema.index({ targetType: 1, targetId: 1, revision: 1 }, { unique: true });
+
+module.exports = revisionSchema;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Audit record of a role assignment (see PUT /api/users/:id/role)
+const roleChangeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  previousRole: { type: String, required: true },
+  newRole: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+roleChangeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = roleChangeSchema;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A login session backed by a rotating refresh token (see utils/sessions.js)
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  tokenHash: { type: String, required: true },
+  // Hash of the token it replaced, to detect a rotated-out token being reused
+  previousTokenHash: String,
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = sessionSchema;
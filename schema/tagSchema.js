@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  description: { type: String, default: '' },   // short excerpt shown in tag lists
+  wiki: { type: String, default: '' },          // full tag wiki
+  synonyms: [{ type: String, lowercase: true, trim: true }],
+  usageCount: { type: Number, default: 0 },
+  lastEditedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+tagSchema.index({ synonyms: 1 });
+tagSchema.index({ usageCount: -1 });
+
+module.exports = tagSchema;
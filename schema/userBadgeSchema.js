@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A badge earned by a user (badge definitions live in utils/badges.js)
+const userBadgeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  badge: { type: String, required: true },
+  tier: { type: String, enum: ['bronze', 'silver', 'gold'], required: true },
+  // Set for badges earned per post (e.g. one "Good Answer" per answer)
+  targetType: { type: String, enum: ['question', 'answer'] },
+  targetId: { type: mongoose.Schema.Types.ObjectId },
+  awardedAt: { type: Date, default: Date.now }
+});
+
+// A badge is earned once per user, or once per post for per-post badges
+userBadgeSchema.index({ user: 1, badge: 1, targetId: 1 }, { unique: true });
+userBadgeSchema.index({ badge: 1, awardedAt: -1 });
+
+module.exports = userBadgeSchema;
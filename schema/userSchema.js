@@ -5,15 +5,24 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
   bio: String,
   title: String,
   location: String,
   reputation: { type: Number, default: 0 },
   role: { type: String, enum: ['user', 'expert', 'admin'], default: 'user' },
   following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  watchedTags: [String],
+  // Login lockout (utils/rateLimit.js) - never returned unless selected
+  failedLoginAttempts: { type: Number, default: 0, select: false },
+  lockedUntil: { type: Date, select: false },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Followers are looked up as "users whose `following` contains me"
+userSchema.index({ following: 1 });
+
 userSchema.pre('save', async function() {
   if (!this.isModified('password')) return;
   this.password = await bcrypt.hash(this.password, 10);
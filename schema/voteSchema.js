@@ -8,4 +8,7 @@ const voteSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+// One vote per user per target
+voteSchema.index({ user: 1, targetType: 1, targetId: 1 }, { unique: true });
+
 module.exports = voteSchema;
\ No newline at end of file
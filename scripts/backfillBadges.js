@@ -0,0 +1,44 @@
+/**
+ * Backfill Badges Script
+ * 
+ * Evaluates every badge rule for every user and awards any badge that was
+ * earned before badges existed (or missed while the server was down).
+ * Safe to re-run: badges that are already awarded are skipped. No
+ * notifications are sent for backfilled badges.
+ * 
+ * Usage: node scripts/backfillBadges.js
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { evaluateBadges } = require('../utils/badges');
+
+require('dotenv').config();
+
+async function backfillBadges() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find().select('username');
+    let total = 0;
+
+    for (const user of users) {
+      const awarded = await evaluateBadges(user._id, undefined, { silent: true });
+
+      if (awarded.length > 0) {
+        total += awarded.length;
+        console.log(`  🏅 ${user.username}: ${awarded.map(award => award.badge).join(', ')}`);
+      }
+    }
+
+    console.log(`\n🎉 Checked ${users.length} users, awarded ${total} badges`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling badges:', error);
+    process.exit(1);
+  }
+}
+
+backfillBadges();
@@ -0,0 +1,194 @@
+/**
+ * Query Benchmark Script
+ *
+ * Counts the MongoDB queries and measures the latency of the question list,
+ * user question list and question detail endpoints over the seed data.
+ * "Before" replays the queries these endpoints used to run (an answer count
+ * per listed question, a comment query per answer); "after" calls the real
+ * endpoints over HTTP, so its latency also includes the HTTP round trip.
+ *
+ * Usage: node scripts/seedData.js && node scripts/benchmarkQueries.js [--runs 20]
+ */
+
+const http = require('http');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const { closeVoteCounts } = require('../utils/closing');
+const { resetRateLimits } = require('../utils/rateLimit');
+const app = require('../index');
+
+require('dotenv').config();
+
+const LIST_LIMIT = 10;
+
+// Commands the driver sends on its own rather than for a query
+const IGNORED_COMMANDS = new Set(['hello', 'ismaster', 'isMaster', 'ping', 'endSessions', 'saslStart', 'saslContinue']);
+
+let queryCount = 0;
+
+// The endpoints as they were before answer/comment counters (kept for comparison)
+const before = {
+  list: async () => {
+    const filter = { isHidden: { $ne: true } };
+    const questions = await Question.find(filter)
+      .sort({ isPinned: -1, createdAt: -1 })
+      .limit(LIST_LIMIT)
+      .populate('asker', 'username reputation');
+    await Question.countDocuments(filter);
+
+    return Promise.all(questions.map(async (question) => ({
+      ...question.toObject(),
+      answerCount: await Answer.countDocuments({ questionId: question._id })
+    })));
+  },
+
+  userQuestions: async (userId) => {
+    const questions = await Question.find({ asker: userId })
+      .sort({ createdAt: -1 })
+      .limit(LIST_LIMIT)
+      .populate('asker', 'username reputation');
+    await Question.countDocuments({ asker: userId });
+
+    return Promise.all(questions.map(async (question) => ({
+      ...question.toObject(),
+      answerCount: await Answer.countDocuments({ questionId: question._id })
+    })));
+  },
+
+  detail: async (questionId) => {
+    const visible = { isHidden: { $ne: true } };
+    const question = await Question.findById(questionId)
+      .populate('asker', 'username reputation role')
+      .populate('duplicateOf', 'title');
+
+    const answers = await Answer.find({ questionId, ...visible })
+      .populate('answerer', 'username reputation role')
+      .populate('verifiedBy', 'username role')
+      .sort({ isAccepted: -1, votes: -1 });
+
+    const answersWithComments = await Promise.all(answers.map(async (answer) => ({
+      ...answer.toObject(),
+      comments: await Comment.find({ targetType: 'answer', targetId: answer._id, ...visible })
+        .populate('author', 'username reputation')
+        .sort({ createdAt: 1 })
+    })));
+
+    const comments = await Comment.find({ targetType: 'question', targetId: questionId, ...visible })
+      .populate('author', 'username reputation')
+      .sort({ createdAt: 1 });
+
+    return { ...question.toObject(), closeVotes: await closeVoteCounts(questionId), answers: answersWithComments, comments };
+  }
+};
+
+const get = async (baseUrl, path) => {
+  const response = await fetch(`${baseUrl}${path}`);
+  if (response.status !== 200) {
+    throw new Error(`GET ${path} responded ${response.status}`);
+  }
+  return response.json();
+};
+
+// Run `fn` `runs` times (after one warm-up run).
+// Returns the queries of one run and the median latency in ms.
+const measure = async (fn, runs) => {
+  const times = [];
+  let queries = 0;
+
+  for (let run = 0; run <= runs; run++) {
+    await resetRateLimits();
+    queryCount = 0;
+    const start = process.hrtime.bigint();
+    await fn();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    queries = queryCount;
+    if (run > 0) times.push(ms);
+  }
+
+  times.sort((a, b) => a - b);
+  return { queries, ms: times[Math.floor(times.length / 2)] };
+};
+
+async function benchmark() {
+  const runsIndex = process.argv.indexOf('--runs');
+  const runs = runsIndex !== -1 ? Math.max(Number(process.argv[runsIndex + 1]) || 1, 1) : 20;
+  let server;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { monitorCommands: true });
+    console.log('✅ Connected to MongoDB');
+
+    mongoose.connection.getClient().on('commandStarted', (event) => {
+      if (!IGNORED_COMMANDS.has(event.commandName)) queryCount++;
+    });
+
+    const [busiest] = await Answer.aggregate([
+      { $group: { _id: '$questionId', answers: { $sum: 1 } } },
+      { $sort: { answers: -1 } },
+      { $limit: 1 }
+    ]);
+    const question = busiest && await Question.findById(busiest._id).select('asker');
+
+    if (!question) {
+      console.error('❌ No answered questions found - run node scripts/seedData.js first');
+      process.exit(1);
+    }
+
+    const missingCounters = await Question.countDocuments({ answerCount: { $exists: false } });
+    if (missingCounters > 0) {
+      console.warn(`⚠️  ${missingCounters} questions have no answerCount yet - run node scripts/recountPostCounters.js`);
+    }
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    console.log(`⏱️  ${runs} runs per endpoint (question ${question._id}, ${busiest.answers} answers)\n`);
+
+    const cases = [
+      {
+        endpoint: `GET /api/questions?limit=${LIST_LIMIT}`,
+        before: () => before.list(),
+        after: () => get(baseUrl, `/api/questions?limit=${LIST_LIMIT}`)
+      },
+      {
+        endpoint: `GET /api/users/:id/questions?limit=${LIST_LIMIT}`,
+        before: () => before.userQuestions(question.asker),
+        after: () => get(baseUrl, `/api/users/${question.asker}/questions?limit=${LIST_LIMIT}`)
+      },
+      {
+        endpoint: 'GET /api/questions/:id',
+        before: () => before.detail(question._id),
+        after: () => get(baseUrl, `/api/questions/${question._id}`)
+      }
+    ];
+
+    const results = [];
+    for (const { endpoint, before: runBefore, after: runAfter } of cases) {
+      const was = await measure(runBefore, runs);
+      const now = await measure(runAfter, runs);
+
+      results.push({
+        endpoint,
+        'queries before': was.queries,
+        'queries after': now.queries,
+        'ms before': Number(was.ms.toFixed(2)),
+        'ms after': Number(now.ms.toFixed(2))
+      });
+    }
+
+    console.log('\n📊 Queries per request and median latency');
+    console.table(results);
+
+    server.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error running benchmark:', error);
+    if (server) server.close();
+    process.exit(1);
+  }
+}
+
+benchmark();
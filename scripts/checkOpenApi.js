@@ -0,0 +1,47 @@
+/**
+ * OpenAPI Check Script
+ *
+ * Compares the mounted routes with the API docs in utils/apiDocs.js and
+ * builds the OpenAPI document. Fails when a route is missing from the docs
+ * or the docs describe a route that no longer exists. Needs no database.
+ *
+ * Usage: npm run check:openapi
+ *        node scripts/checkOpenApi.js --out openapi.json   (also writes the spec)
+ */
+
+const fs = require('fs');
+const { listRoutes, checkSpec, buildSpec } = require('../utils/openapi');
+
+function check() {
+  try {
+    const routes = listRoutes();
+    const { missing, stale, shadowed } = checkSpec(routes);
+
+    for (const { route, shadowedBy } of shadowed) {
+      console.warn(`⚠️  ${route} is unreachable - ${shadowedBy} handles it first`);
+    }
+
+    if (missing.length > 0 || stale.length > 0) {
+      for (const key of missing) console.error(`❌ Missing from utils/apiDocs.js: ${key}`);
+      for (const key of stale) console.error(`❌ Documented but not mounted: ${key}`);
+      process.exit(1);
+    }
+
+    const spec = buildSpec({ routes });
+    const operations = Object.values(spec.paths).reduce((sum, path) => sum + Object.keys(path).length, 0);
+
+    const outIndex = process.argv.indexOf('--out');
+    if (outIndex !== -1 && process.argv[outIndex + 1]) {
+      fs.writeFileSync(process.argv[outIndex + 1], JSON.stringify(spec, null, 2));
+      console.log(`✅ Wrote ${process.argv[outIndex + 1]}`);
+    }
+
+    console.log(`✅ OpenAPI spec covers all ${operations} routes`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error building OpenAPI spec:', error);
+    process.exit(1);
+  }
+}
+
+check();
@@ -0,0 +1,36 @@
+/**
+ * Drop Question Viewers Script
+ *
+ * Removes the `viewers` array older questions still carry from before views
+ * were tracked in their own collections (see utils/views.js). View totals are
+ * kept. Run it once after upgrading.
+ *
+ * Usage: node scripts/dropQuestionViewers.js
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+
+require('dotenv').config();
+
+async function dropViewers() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // `viewers` is no longer in the schema, so go through the driver
+    const result = await Question.collection.updateMany(
+      { viewers: { $exists: true } },
+      { $unset: { viewers: '' } }
+    );
+
+    console.log(`\n🎉 Removed viewers from ${result.modifiedCount} questions`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error dropping question viewers:', error);
+    process.exit(1);
+  }
+}
+
+dropViewers();
@@ -0,0 +1,50 @@
+/**
+ * Recalculate Reputation Script
+ * 
+ * Recomputes every user's reputation from their reputation event ledger
+ * and reports any user whose stored total had drifted.
+ * 
+ * The first run records each user's opening balance: whatever the ledger
+ * doesn't explain yet (reputation earned before it existed) becomes one
+ * 'opening_balance' event, so nothing is wiped. Later runs fix real drift.
+ * 
+ * Usage: node scripts/recalculateReputation.js
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { recalculateReputation } = require('../utils/reputation');
+
+require('dotenv').config();
+
+async function recalculateAll() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find().select('username');
+    let drifted = 0;
+    let opened = 0;
+
+    for (const user of users) {
+      const result = await recalculateReputation(user._id);
+
+      if (result && result.opened) opened += 1;
+
+      if (result && result.previous !== result.reputation) {
+        drifted += 1;
+        console.log(`  🔧 ${user.username}: ${result.previous} → ${result.reputation}`);
+      }
+    }
+
+    console.log(`\n🎉 Checked ${users.length} users, fixed ${drifted}`);
+    if (opened > 0) console.log(`  - Opening balances recorded: ${opened}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error recalculating reputation:', error);
+    process.exit(1);
+  }
+}
+
+recalculateAll();
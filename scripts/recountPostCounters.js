@@ -0,0 +1,36 @@
+/**
+ * Recount Post Counters Script
+ *
+ * Recomputes `answerCount` / `commentCount` on every question and
+ * `commentCount` on every answer from the Answer and Comment collections.
+ * Run it once after upgrading (older posts have no counters yet) and
+ * whenever the counters have drifted.
+ *
+ * Usage: node scripts/recountPostCounters.js
+ */
+
+const mongoose = require('mongoose');
+const { recountPostCounters } = require('../utils/counters');
+
+require('dotenv').config();
+
+async function recount() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const fixed = await recountPostCounters();
+
+    console.log(`\n🎉 Post counters recomputed`);
+    console.log(`  - Question answer counts fixed: ${fixed.questionAnswers}`);
+    console.log(`  - Question comment counts fixed: ${fixed.questionComments}`);
+    console.log(`  - Answer comment counts fixed: ${fixed.answerComments}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error recounting post counters:', error);
+    process.exit(1);
+  }
+}
+
+recount();
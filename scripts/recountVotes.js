@@ -0,0 +1,33 @@
+/**
+ * Recount Votes Script
+ * 
+ * Recomputes the `votes` counter on every question and answer from the
+ * Vote collection. Run this when counters have drifted from the votes.
+ * 
+ * Usage: node scripts/recountVotes.js
+ */
+
+const mongoose = require('mongoose');
+const { recountVotes } = require('../utils/voting');
+
+require('dotenv').config();
+
+async function recount() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const fixed = await recountVotes();
+
+    console.log(`\n🎉 Vote counters recomputed`);
+    console.log(`  - Questions fixed: ${fixed.question}`);
+    console.log(`  - Answers fixed: ${fixed.answer}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error recounting votes:', error);
+    process.exit(1);
+  }
+}
+
+recount();
@@ -0,0 +1,79 @@
+/**
+ * Render Posts Script
+ *
+ * Re-renders the markdown of every question, answer and comment: `bodyHtml`,
+ * `codeBlocks`, question `excerpt` and @mentions (see utils/markdown.js and
+ * utils/mentions.js). Nobody is notified about the mentions. Run it once
+ * after upgrading, since older posts were stored without them, and again
+ * whenever the renderer or sanitizer settings change.
+ *
+ * Usage: node scripts/renderPosts.js
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const { renderPost, renderComment, excerptOf } = require('../utils/markdown');
+const { resolveMentions } = require('../utils/mentions');
+
+require('dotenv').config();
+
+const BATCH_SIZE = 500;
+
+const RENDERERS = [
+  {
+    name: 'Questions',
+    Model: Question,
+    render: (body, options) => ({ ...renderPost(body, options), excerpt: excerptOf(body) })
+  },
+  { name: 'Answers', Model: Answer, render: renderPost },
+  { name: 'Comments', Model: Comment, render: renderComment }
+];
+
+// Write the rendered fields straight to the collection, so `updatedAt` and
+// the rest of the document are left alone
+const renderAll = async ({ Model, render }) => {
+  let rendered = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Model.bulkWrite(batch);
+    rendered += batch.length;
+    batch = [];
+  };
+
+  for await (const post of Model.find().select('body').lean().cursor()) {
+    const mentions = await resolveMentions(post.body);
+    const update = { $set: { ...render(post.body, { mentions }), mentions } };
+
+    batch.push({ updateOne: { filter: { _id: post._id }, update } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return rendered;
+};
+
+async function renderPosts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('📝 Rendering posts...');
+    for (const renderer of RENDERERS) {
+      const rendered = await renderAll(renderer);
+      console.log(`  - ${renderer.name} rendered: ${rendered}`);
+    }
+
+    console.log('\n🎉 Posts rendered');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error rendering posts:', error);
+    process.exit(1);
+  }
+}
+
+renderPosts();
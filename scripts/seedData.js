@@ -1544,6 +1544,10 @@ async function seedDatabase() {
         createdAt: new Date(question.createdAt.getTime() + Math.random() * 2 * 24 * 60 * 60 * 1000)
       });
       await comment.save();
+
+      // Update question comment count
+      question.commentCount = (question.commentCount || 0) + 1;
+      await question.save();
     }
 
     console.log('✅ Created comments');
@@ -1555,10 +1559,12 @@ async function seedDatabase() {
       const question = questions[i];
       const voter = users[Math.floor(Math.random() * users.length)];
       
-      // Simulate some votes
+      // Simulate some votes (one vote per user per question)
+      const voterIds = new Set();
       for (let j = 0; j < Math.floor(Math.random() * 3) + 1; j++) {
         const randomVoter = users[Math.floor(Math.random() * users.length)];
-        if (randomVoter._id.toString() !== question.asker.toString()) {
+        if (randomVoter._id.toString() !== question.asker.toString() && !voterIds.has(randomVoter._id.toString())) {
+          voterIds.add(randomVoter._id.toString());
           const vote = new Vote({
             user: randomVoter._id,
             targetType: 'question',
@@ -1591,6 +1597,10 @@ async function seedDatabase() {
   }
 }
 
-// Run seed
-seedDatabase();
+// Run seed (the data is also used as test fixtures)
+if (require.main === module) {
+  seedDatabase();
+}
+
+module.exports = { usersData, questionsData, answersData };
 
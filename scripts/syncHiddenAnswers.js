@@ -0,0 +1,34 @@
+/**
+ * Sync Hidden Answers Script
+ *
+ * Copies every question's `isHidden` flag onto its answers
+ * (`questionHidden`), which profile lists and the feed filter on.
+ * Moderation keeps the flag in step from then on, so run it once
+ * after upgrading.
+ *
+ * Usage: node scripts/syncHiddenAnswers.js
+ */
+
+const mongoose = require('mongoose');
+const { syncQuestionHidden } = require('../utils/moderation');
+
+require('dotenv').config();
+
+async function sync() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const marked = await syncQuestionHidden();
+
+    console.log(`\n🎉 Answer visibility synced`);
+    console.log(`  - Answers on hidden questions: ${marked}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing hidden answers:', error);
+    process.exit(1);
+  }
+}
+
+sync();
@@ -0,0 +1,63 @@
+/**
+ * Sync Tags Script
+ * 
+ * Normalizes the tags on every question (lowercase, synonyms mapped to
+ * their canonical tag), adds missing tags to the catalog and rebuilds
+ * every tag's usage count.
+ * 
+ * Usage: node scripts/syncTags.js
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Tag = require('../models/Tag');
+const { resolveTags } = require('../utils/tags');
+
+require('dotenv').config();
+
+async function syncTags() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Normalize question tags
+    console.log('🏷️  Normalizing question tags...');
+    const questions = await Question.find().select('tags');
+    let retagged = 0;
+
+    for (const question of questions) {
+      const tags = await resolveTags(question.tags);
+      if (JSON.stringify(tags) !== JSON.stringify([...question.tags])) {
+        await Question.updateOne({ _id: question._id }, { $set: { tags } });
+        retagged += 1;
+      }
+    }
+    console.log(`✅ Retagged ${retagged} questions`);
+
+    // Rebuild usage counts
+    console.log('🔢 Rebuilding usage counts...');
+    const usage = await Question.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+
+    await Tag.updateMany({}, { $set: { usageCount: 0 } });
+    for (const { _id: name, count } of usage) {
+      await Tag.updateOne(
+        { name },
+        { $set: { usageCount: count }, $setOnInsert: { name } },
+        { upsert: true }
+      );
+    }
+    console.log(`✅ Counted usage for ${usage.length} tags`);
+
+    console.log('\n🎉 Tags synced successfully!');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing tags:', error);
+    process.exit(1);
+  }
+}
+
+syncTags();
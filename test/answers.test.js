@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('answers, accepts, verification and comments', () => {
+  let accounts;
+  let question;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts();
+    question = await createQuestion(accounts.john_doe.token);
+  });
+
+  describe('POST /api/questions/:id/answers', () => {
+    it('answers a question', async () => {
+      const res = await api.post(`/api/questions/${question._id}/answers`, {
+        token: accounts.sarah_dev.token,
+        body: { body: 'Use a readline interface over a read stream.' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.answerer.username, 'sarah_dev');
+      assert.equal(res.body.questionId, question._id);
+    });
+
+    it('returns 404 for an unknown question', async () => {
+      const res = await api.post('/api/questions/000000000000000000000000/answers', {
+        token: accounts.sarah_dev.token,
+        body: { body: 'An answer to nothing at all.' }
+      });
+
+      assert.equal(res.status, 404);
+    });
+
+    it('forbids editing someone else\'s answer', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.put(`/api/questions/${question._id}/answers/${answer._id}`, {
+        token: accounts.emma_dev.token,
+        body: { body: 'Rewriting another person\'s answer.' }
+      });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PUT /api/questions/:id/answers/:answerId/accept', () => {
+    it('lets the asker accept an answer and moves acceptance to another', async () => {
+      const first = await createAnswer(accounts.sarah_dev.token, question._id);
+      const second = await createAnswer(accounts.alex_coder.token, question._id);
+
+      const accept = await api.put(`/api/questions/${question._id}/answers/${first._id}/accept`, {
+        token: accounts.john_doe.token
+      });
+      assert.equal(accept.status, 200);
+      assert.equal(accept.body.answer.isAccepted, true);
+      assert.equal(accept.body.answer.answerer.reputation, 15);
+
+      await api.put(`/api/questions/${question._id}/answers/${second._id}/accept`, { token: accounts.john_doe.token });
+
+      const res = await api.get(`/api/questions/${question._id}`);
+      assert.equal(res.body.acceptedAnswer, second._id);
+
+      const answers = Object.fromEntries(res.body.answers.map(answer => [answer._id, answer]));
+      assert.equal(answers[first._id].isAccepted, false);
+      assert.equal(answers[first._id].answerer.reputation, 0);
+      assert.equal(answers[second._id].isAccepted, true);
+    });
+
+    it('forbids anyone but the asker', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      for (const username of ['sarah_dev', 'emma_dev', 'admin']) {
+        const res = await api.put(`/api/questions/${question._id}/answers/${answer._id}/accept`, {
+          token: accounts[username].token
+        });
+
+        assert.equal(res.status, 403, username);
+        assert.equal(res.body.error, 'Only the question asker can accept answers');
+      }
+    });
+
+    it('rejects an answer from another question', async () => {
+      const other = await createQuestion(accounts.emma_dev.token);
+      const answer = await createAnswer(accounts.sarah_dev.token, other._id);
+
+      const res = await api.put(`/api/questions/${question._id}/answers/${answer._id}/accept`, {
+        token: accounts.john_doe.token
+      });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /api/questions/:id/answers/:answerId/verify', () => {
+    it('lets an expert verify someone else\'s answer', async () => {
+      const answer = await createAnswer(accounts.emma_dev.token, question._id);
+
+      const res = await api.post(`/api/questions/${question._id}/answers/${answer._id}/verify`, {
+        token: accounts.sarah_dev.token
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.answer.isVerified, true);
+      assert.equal(res.body.answer.verifiedBy.username, 'sarah_dev');
+    });
+
+    it('forbids regular users', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.post(`/api/questions/${question._id}/answers/${answer._id}/verify`, {
+        token: accounts.emma_dev.token
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'You don\'t have permission to verify answers');
+    });
+
+    it('forbids experts verifying their own answer', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.post(`/api/questions/${question._id}/answers/${answer._id}/verify`, {
+        token: accounts.sarah_dev.token
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'You don\'t have permission to verify your own answers');
+    });
+
+    it('only lets the verifier or an admin unverify', async () => {
+      const answer = await createAnswer(accounts.emma_dev.token, question._id);
+      const path = `/api/questions/${question._id}/answers/${answer._id}`;
+
+      await api.post(`${path}/verify`, { token: accounts.sarah_dev.token });
+
+      const other = await api.post(`${path}/unverify`, { token: accounts.alex_coder.token });
+      assert.equal(other.status, 403);
+      assert.equal(other.body.error, 'Only the verifier can unverify this answer');
+
+      const res = await api.post(`${path}/unverify`, { token: accounts.admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.answer.isVerified, false);
+    });
+  });
+
+  describe('answer revisions', () => {
+    it('returns 404 when the answer is on another question', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+      const other = await createQuestion(accounts.emma_dev.token);
+      const path = `/api/questions/${other._id}/answers/${answer._id}/revisions`;
+
+      const history = await api.get(path);
+      const rollback = await api.post(`${path}/1/rollback`, { token: accounts.sarah_dev.token });
+
+      assert.equal(history.status, 404);
+      assert.equal(rollback.status, 404);
+      assert.equal((await api.get(`/api/questions/${question._id}/answers/${answer._id}/revisions`)).status, 200);
+    });
+  });
+
+  describe('counters', () => {
+    it('keeps answer and comment counts up to date', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+      await createAnswer(accounts.alex_coder.token, question._id);
+
+      const comment = await api.post('/api/comments', {
+        token: accounts.emma_dev.token,
+        body: { body: 'Does this work with Node 18?', targetType: 'answer', targetId: answer._id }
+      });
+      await api.post('/api/comments', {
+        token: accounts.emma_dev.token,
+        body: { body: 'Nice question.', targetType: 'question', targetId: question._id }
+      });
+
+      let res = await api.get(`/api/questions/${question._id}`);
+      assert.equal(res.body.answerCount, 2);
+      assert.equal(res.body.commentCount, 1);
+      assert.equal(res.body.answers.find(a => a._id === answer._id).commentCount, 1);
+
+      await api.delete(`/api/comments/${comment.body._id}`, { token: accounts.emma_dev.token });
+      await api.delete(`/api/questions/${question._id}/answers/${answer._id}`, { token: accounts.sarah_dev.token });
+
+      res = await api.get('/api/questions');
+      assert.equal(res.body.questions[0].answerCount, 1);
+      assert.equal(res.body.questions[0].commentCount, 1);
+    });
+  });
+
+  describe('comments', () => {
+    it('comments on a question and an answer', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const onQuestion = await api.post('/api/comments', {
+        token: accounts.emma_dev.token,
+        body: { body: 'Which Node version are you on?', targetType: 'question', targetId: question._id }
+      });
+      const onAnswer = await api.post('/api/comments', {
+        token: accounts.john_doe.token,
+        body: { body: 'Thanks, that worked!', targetType: 'answer', targetId: answer._id }
+      });
+
+      assert.equal(onQuestion.status, 201);
+      assert.equal(onAnswer.status, 201);
+
+      const res = await api.get(`/api/questions/${question._id}`);
+      assert.equal(res.body.comments.length, 1);
+      assert.equal(res.body.answers[0].comments.length, 1);
+    });
+
+    it('returns 404 when the target does not exist', async () => {
+      const res = await api.post('/api/comments', {
+        token: accounts.emma_dev.token,
+        body: { body: 'Hello?', targetType: 'answer', targetId: '000000000000000000000000' }
+      });
+
+      assert.equal(res.status, 404);
+    });
+
+    it('only lets the author or an admin delete a comment', async () => {
+      const create = async () => {
+        const res = await api.post('/api/comments', {
+          token: accounts.emma_dev.token,
+          body: { body: 'Could you share the error message?', targetType: 'question', targetId: question._id }
+        });
+        return res.body;
+      };
+
+      const comment = await create();
+
+      const asOther = await api.delete(`/api/comments/${comment._id}`, { token: accounts.john_doe.token });
+      assert.equal(asOther.status, 403);
+      assert.equal(asOther.body.error, 'Not authorized to delete this comment');
+
+      const asAuthor = await api.delete(`/api/comments/${comment._id}`, { token: accounts.emma_dev.token });
+      assert.equal(asAuthor.status, 200);
+
+      const another = await create();
+      const asAdmin = await api.delete(`/api/comments/${another._id}`, { token: accounts.admin.token });
+      assert.equal(asAdmin.status, 200);
+    });
+  });
+});
@@ -0,0 +1,283 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { bus, userChannel } = require('../utils/realtime');
+const AccountToken = require('../models/AccountToken');
+const { setTransport } = require('../utils/mailer');
+const { startServer, stopServer, resetState, api, outbox } = require('./helpers/server');
+const { seedUser, seedAccounts } = require('./helpers/fixtures');
+const { MAX_FAILED_LOGINS } = require('../utils/rateLimit');
+
+describe('auth', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  describe('POST /api/auth/register', () => {
+    it('creates a user, starts a session and sends a verification email', async () => {
+      const res = await api.post('/api/auth/register', {
+        body: { username: 'new_dev', email: 'new@codeq.dev', password: 'secret123' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.username, 'new_dev');
+      assert.equal(res.body.role, 'user');
+      assert.equal(res.body.emailVerified, false);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.password, undefined);
+
+      assert.equal(outbox.length, 1);
+      assert.equal(outbox[0].to, 'new@codeq.dev');
+    });
+
+    it('rejects a taken email', async () => {
+      await seedAccounts(['john_doe']);
+
+      const res = await api.post('/api/auth/register', {
+        body: { username: 'someone_else', email: 'john@codeq.dev', password: 'secret123' }
+      });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'EMAIL_TAKEN');
+    });
+
+    it('reports every invalid field', async () => {
+      const res = await api.post('/api/auth/register', {
+        body: { username: 'x', email: 'not-an-email', password: '123' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'VALIDATION_FAILED');
+      assert.deepEqual(res.body.fields.map(field => field.field).sort(), ['email', 'password', 'username']);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('logs in with the right password', async () => {
+      const { email, password } = seedUser('john_doe');
+      await seedAccounts(['john_doe']);
+
+      const res = await api.post('/api/auth/login', { body: { email, password } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.username, 'john_doe');
+      assert.ok(res.body.token);
+    });
+
+    it('rejects a wrong password', async () => {
+      await seedAccounts(['john_doe']);
+
+      const res = await api.post('/api/auth/login', { body: { email: 'john@codeq.dev', password: 'wrong-password' } });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+      assert.ok(res.headers.get('x-request-id'));
+      assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+    });
+
+    it('locks the account after too many failed attempts', async () => {
+      const { email, password } = seedUser('john_doe');
+      await seedAccounts(['john_doe']);
+
+      for (let attempt = 0; attempt < MAX_FAILED_LOGINS; attempt++) {
+        await api.post('/api/auth/login', { body: { email, password: 'wrong-password' } });
+      }
+
+      // Even the right password is refused while locked
+      const res = await api.post('/api/auth/login', { body: { email, password } });
+
+      assert.equal(res.status, 429);
+      assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+      assert.ok(Number(res.headers.get('retry-after')) > 0);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('returns the user with their capabilities', async () => {
+      const { sarah_dev } = await seedAccounts(['sarah_dev']);
+
+      const res = await api.get('/api/auth/me', { token: sarah_dev.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.username, 'sarah_dev');
+      assert.equal(res.body.password, undefined);
+      assert.ok(res.body.capabilities.includes('answer.verify'));
+      assert.ok(!res.body.capabilities.includes('vote.recount'));
+    });
+
+    it('requires a token', async () => {
+      const res = await api.get('/api/auth/me');
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'UNAUTHORIZED');
+    });
+
+    it('rejects a forged token', async () => {
+      const res = await api.get('/api/auth/me', { token: 'not.a.token' });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_TOKEN');
+    });
+  });
+
+  describe('email links', () => {
+    // The token from the link in the last email sent to `to`
+    const linkToken = (to) => {
+      const email = outbox.filter(message => message.to === to).pop();
+      return new URL(email.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    const forgotPassword = (email) => api.post('/api/auth/forgot-password', { body: { email } });
+
+    it('resets the password once and logs out every session', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+      const { email } = seedUser('john_doe');
+
+      await forgotPassword(email);
+      const token = linkToken(email);
+
+      const reset = await api.post('/api/auth/reset-password', { body: { token, password: 'brand-new-secret' } });
+      assert.equal(reset.status, 200);
+
+      const again = await api.post('/api/auth/reset-password', { body: { token, password: 'another-secret' } });
+      assert.equal(again.status, 400);
+      assert.equal(again.body.code, 'INVALID_TOKEN');
+
+      assert.equal((await api.get('/api/auth/me', { token: john_doe.token })).status, 401);
+      const refresh = await api.post('/api/auth/refresh', { body: { refreshToken: john_doe.refreshToken } });
+      assert.equal(refresh.status, 401);
+
+      const login = await api.post('/api/auth/login', { body: { email, password: 'brand-new-secret' } });
+      assert.equal(login.status, 200);
+    });
+
+    it('rejects an expired reset token', async () => {
+      await seedAccounts(['john_doe']);
+      const { email } = seedUser('john_doe');
+
+      await forgotPassword(email);
+      await AccountToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const res = await api.post('/api/auth/reset-password', { body: { token: linkToken(email), password: 'brand-new-secret' } });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_TOKEN');
+    });
+
+    it('answers the same for unknown emails and failed sends', async () => {
+      await seedAccounts(['john_doe']);
+
+      const unknown = await forgotPassword('nobody@codeq.dev');
+
+      setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+      try {
+        const failed = await forgotPassword(seedUser('john_doe').email);
+
+        assert.equal(failed.status, unknown.status);
+        assert.deepEqual(failed.body, unknown.body);
+      } finally {
+        setTransport('memory');
+      }
+    });
+
+    it('verifies the email address once', async () => {
+      await api.post('/api/auth/register', {
+        body: { username: 'new_dev', email: 'new@codeq.dev', password: 'secret123' }
+      });
+      const token = linkToken('new@codeq.dev');
+
+      const res = await api.post('/api/auth/verify-email', { body: { token } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.emailVerified, true);
+
+      const again = await api.post('/api/auth/verify-email', { body: { token } });
+      assert.equal(again.status, 400);
+    });
+  });
+
+  describe('refresh tokens', () => {
+    it('rotates the refresh token', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+
+      const res = await api.post('/api/auth/refresh', { body: { refreshToken: john_doe.refreshToken } });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.notEqual(res.body.refreshToken, john_doe.refreshToken);
+    });
+
+    it('revokes the session when an old refresh token is reused', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+
+      const rotated = await api.post('/api/auth/refresh', { body: { refreshToken: john_doe.refreshToken } });
+      const reused = await api.post('/api/auth/refresh', { body: { refreshToken: john_doe.refreshToken } });
+
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'INVALID_REFRESH_TOKEN');
+
+      // The token that was legitimately rotated no longer works either
+      const res = await api.post('/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'SESSION_EXPIRED');
+    });
+
+    it('stops working after logout', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+
+      const logout = await api.post('/api/auth/logout', { body: { refreshToken: john_doe.refreshToken } });
+      assert.equal(logout.status, 200);
+
+      const res = await api.post('/api/auth/refresh', { body: { refreshToken: john_doe.refreshToken } });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'SESSION_EXPIRED');
+    });
+  });
+
+  describe('access tokens', () => {
+    it('stop working once their session is logged out', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+
+      assert.equal((await api.get('/api/auth/me', { token: john_doe.token })).status, 200);
+      await api.post('/api/auth/logout', { body: { refreshToken: john_doe.refreshToken } });
+
+      const res = await api.get('/api/auth/me', { token: john_doe.token });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'SESSION_EXPIRED');
+    });
+
+    it('stop working when the user logs out everywhere else', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+      const { email, password } = seedUser('john_doe');
+      const other = await api.post('/api/auth/login', { body: { email, password } });
+
+      await api.delete('/api/auth/sessions?keepCurrent=true', { token: john_doe.token });
+
+      assert.equal((await api.get('/api/auth/me', { token: other.body.token })).status, 401);
+      assert.equal((await api.get('/api/auth/me', { token: john_doe.token })).status, 200);
+    });
+
+    it('close notification streams of a logged out session', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+      const channel = userChannel(john_doe.user._id);
+      const stream = api.get(`/api/notifications/stream?token=${john_doe.token}`);
+
+      while (bus.listenerCount(channel) === 0) await sleep(10);
+
+      await api.post('/api/auth/logout', { body: { refreshToken: john_doe.refreshToken } });
+
+      const res = await stream;
+      assert.match(res.body, /event: session\.revoked/);
+      assert.equal(bus.listenerCount(channel), 0);
+    });
+
+    it('are rejected without a session id', async () => {
+      const { john_doe } = await seedAccounts(['john_doe']);
+      const token = jwt.sign({ id: john_doe.user._id.toString() }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+      const res = await api.get('/api/auth/me', { token });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_TOKEN');
+    });
+  });
+});
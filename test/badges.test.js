@@ -0,0 +1,47 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Question = require('../models/Question');
+const UserBadge = require('../models/UserBadge');
+const { evaluateBadges } = require('../utils/badges');
+const { startServer, stopServer, resetState } = require('./helpers/server');
+const { seedAccounts } = require('./helpers/fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('badges', () => {
+  let accounts;
+
+  // One question a day for `days` days, inserted directly past the posting limits
+  const postOnDays = (days) => Question.insertMany(
+    Array.from({ length: days }, (_, index) => ({
+      title: `Question asked on day number ${index}`,
+      body: 'A question body that is long enough to be valid.',
+      asker: accounts.john_doe.user._id,
+      createdAt: new Date(Date.now() - index * DAY)
+    }))
+  );
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['john_doe']);
+  });
+
+  it('awards Enthusiast for posting on 30 different days, once', async () => {
+    await postOnDays(30);
+
+    const first = await evaluateBadges(accounts.john_doe.user._id, 'post', { silent: true });
+    const second = await evaluateBadges(accounts.john_doe.user._id, 'post', { silent: true });
+
+    assert.deepEqual(first.map(award => award.badge), ['enthusiast']);
+    assert.deepEqual(second, []);
+    assert.equal(await UserBadge.countDocuments({ user: accounts.john_doe.user._id }), 1);
+  });
+
+  it('awards nothing below the threshold', async () => {
+    await postOnDays(29);
+
+    assert.deepEqual(await evaluateBadges(accounts.john_doe.user._id, 'post', { silent: true }), []);
+  });
+});
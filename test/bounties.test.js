@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Bounty = require('../models/Bounty');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const { expireBounties } = require('../utils/bounties');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('bounties', () => {
+  let accounts;
+  let question;
+
+  const reputationOf = async (username) => (await User.findById(accounts[username].user._id)).reputation;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['john_doe', 'sarah_dev']);
+    await User.updateOne({ _id: accounts.john_doe.user._id }, { $set: { reputation: 200 } });
+    await User.updateOne({ _id: accounts.sarah_dev.user._id }, { $set: { reputation: 0 } });
+    question = await createQuestion(accounts.john_doe.token);
+  });
+
+  const offer = () => api.post(`/api/questions/${question._id}/bounty`, {
+    token: accounts.john_doe.token,
+    body: { amount: 100 }
+  });
+
+  it('charges concurrent offers once', async () => {
+    const responses = await Promise.all([offer(), offer(), offer()]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [201, 409, 409]);
+    assert.equal(await Bounty.countDocuments({ question: question._id, status: 'active' }), 1);
+    assert.equal(await reputationOf('john_doe'), 100);
+  });
+
+  it('pays a bounty once when awards race each other and the expiry job', async () => {
+    const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+    await offer();
+    await api.post(`/api/questions/${question._id}/answers/${answer._id}/upvote`, { token: accounts.john_doe.token });
+    await Bounty.updateOne({ question: question._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    const before = await reputationOf('sarah_dev');
+
+    const award = () => api.post(`/api/questions/${question._id}/bounty/award`, {
+      token: accounts.john_doe.token,
+      body: { answerId: answer._id }
+    });
+    const [first, second, expiry] = await Promise.all([award(), award(), expireBounties()]);
+
+    const paid = [first.status, second.status].filter(status => status === 200).length + expiry.awarded;
+    assert.equal(paid, 1);
+    assert.equal(await reputationOf('sarah_dev'), before + 100);
+  });
+
+  it('refuses bounties on hidden and closed questions', async () => {
+    await Question.updateOne({ _id: question._id }, { $set: { isHidden: true } });
+    const hidden = await offer();
+
+    await Question.updateOne({ _id: question._id }, { $set: { isHidden: false, isClosed: true } });
+    const closed = await offer();
+
+    assert.equal(hidden.status, 403);
+    assert.equal(closed.status, 403);
+    assert.equal(await reputationOf('john_doe'), 200);
+  });
+
+  it('does not auto-award a hidden answer', async () => {
+    const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+    await offer();
+    await api.post(`/api/questions/${question._id}/answers/${answer._id}/upvote`, { token: accounts.john_doe.token });
+    await Answer.updateOne({ _id: answer._id }, { $set: { isHidden: true } });
+    await Bounty.updateOne({ question: question._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const result = await expireBounties();
+
+    assert.equal(result.awarded, 0);
+    assert.equal(result.expired, 1);
+  });
+
+  it('refunds the active bounty when the question is deleted', async () => {
+    await offer();
+    assert.equal(await reputationOf('john_doe'), 100);
+
+    const res = await api.delete(`/api/questions/${question._id}`, { token: accounts.john_doe.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(await reputationOf('john_doe'), 200);
+    assert.equal(await Bounty.countDocuments({ question: question._id }), 0);
+  });
+});
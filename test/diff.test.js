@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_DIFF_CELLS, diffLines } = require('../utils/diff');
+
+describe('diffLines', () => {
+  it('diffs changed lines and keeps the shared start and end', () => {
+    assert.deepEqual(diffLines('a\nb\nc\nd', 'a\nx\nc\nd'), [
+      { type: 'equal', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'added', line: 'x' },
+      { type: 'equal', line: 'c' },
+      { type: 'equal', line: 'd' }
+    ]);
+  });
+
+  it('gives up on bodies too large to diff, quickly', () => {
+    // The largest body allowed: 15,000 one-character lines
+    const before = 'a\n'.repeat(15000);
+    const after = 'b\n'.repeat(15000);
+
+    const started = Date.now();
+    assert.equal(diffLines(before, after), null);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('still diffs a small change inside a large body', () => {
+    const lines = Array.from({ length: 15000 }, (_, index) => `line ${index}`);
+    const edited = [...lines];
+    edited[7000] = 'changed';
+
+    const changes = diffLines(lines.join('\n'), edited.join('\n'));
+
+    assert.equal(changes.length, 15001);
+    assert.deepEqual(changes.filter(change => change.type !== 'equal'), [
+      { type: 'removed', line: 'line 7000' },
+      { type: 'added', line: 'changed' }
+    ]);
+  });
+
+  it('diffs up to the cell limit', () => {
+    const side = Math.floor(Math.sqrt(MAX_DIFF_CELLS)) - 1;
+    const changes = diffLines('a\n'.repeat(side - 1), 'b\n'.repeat(side - 1));
+
+    assert.equal(changes.filter(change => change.type === 'removed').length, side - 1);
+  });
+});
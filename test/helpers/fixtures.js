@@ -0,0 +1,56 @@
+// Test data built from the seed users, questions and answers in scripts/seedData.js
+const User = require('../../models/User');
+const { usersData, questionsData, answersData } = require('../../scripts/seedData');
+const { api } = require('./server');
+
+// admin (admin), sarah_dev and alex_coder (expert), john_doe and emma_dev (user)
+const ACCOUNTS = ['admin', 'sarah_dev', 'alex_coder', 'john_doe', 'emma_dev'];
+
+const seedUser = (username) => usersData.find(user => user.username === username);
+
+// Create the seed accounts and log each one in.
+// Resolves to { [username]: { user, token, refreshToken } }
+const seedAccounts = async (usernames = ACCOUNTS) => {
+  const accounts = {};
+
+  for (const username of usernames) {
+    const data = seedUser(username);
+    const user = await User.create(data);
+
+    const login = await api.post('/api/auth/login', {
+      body: { email: data.email, password: data.password }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Could not log in ${username}: ${login.status} ${JSON.stringify(login.body)}`);
+    }
+
+    accounts[username] = { user, token: login.body.token, refreshToken: login.body.refreshToken };
+  }
+
+  return accounts;
+};
+
+// Ask a question as the token's user; resolves to the created question
+const createQuestion = async (token, overrides = {}) => {
+  const { title, body, tags } = questionsData[0];
+  const response = await api.post('/api/questions', { token, body: { title, body, tags, ...overrides } });
+
+  if (response.status !== 201) {
+    throw new Error(`Could not create question: ${response.status} ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+};
+
+// Answer a question as the token's user; resolves to the created answer
+const createAnswer = async (token, questionId, overrides = {}) => {
+  const { body } = answersData[0];
+  const response = await api.post(`/api/questions/${questionId}/answers`, { token, body: { body, ...overrides } });
+
+  if (response.status !== 201) {
+    throw new Error(`Could not create answer: ${response.status} ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+};
+
+module.exports = { seedUser, seedAccounts, createQuestion, createAnswer };
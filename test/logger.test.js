@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loggedUrl } = require('../utils/logger');
+
+describe('logger', () => {
+  it('redacts tokens in logged URLs', () => {
+    assert.equal(
+      loggedUrl({ originalUrl: '/api/notifications/stream?token=eyJhbGciOi.x.y&since=5' }),
+      '/api/notifications/stream?token=REDACTED&since=5'
+    );
+  });
+
+  it('leaves other URLs alone', () => {
+    assert.equal(loggedUrl({ originalUrl: '/api/questions?page=2' }), '/api/questions?page=2');
+    assert.equal(loggedUrl({ originalUrl: '/api/questions' }), '/api/questions');
+  });
+});
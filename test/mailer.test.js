@@ -0,0 +1,46 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { sendMail, setTransport, outbox } = require('../utils/mailer');
+
+const MESSAGE = { to: 'john@codeq.dev', subject: 'Hello', text: 'Hi John' };
+
+describe('mailer', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = nodeEnv;
+    setTransport('memory');
+    outbox.length = 0;
+  });
+
+  it('keeps the current transport when given an invalid one', async () => {
+    setTransport('memory');
+
+    assert.throws(() => setTransport('carrier-pigeon'), /send\(message\) method/);
+    assert.throws(() => setTransport({ name: 'broken' }), /send\(message\) method/);
+
+    await sendMail(MESSAGE);
+    assert.equal(outbox.length, 1);
+  });
+
+  it('refuses the console and memory transports in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    for (const name of ['console', 'memory']) {
+      setTransport(name);
+      await assert.rejects(sendMail(MESSAGE), /can't be used in production/);
+    }
+    assert.equal(outbox.length, 0);
+  });
+
+  it('sends through a custom transport in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const sent = [];
+    setTransport({ name: 'smtp', send: async (message) => sent.push(message) });
+
+    await sendMail(MESSAGE);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, MESSAGE.to);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+const BODY = [
+  'My stream *stops* early <script>alert(1)</script>, see [docs](javascript:alert(1)).',
+  '',
+  '```JS',
+  'const stream = fs.createReadStream(file);',
+  '```',
+  '',
+  '<img src=x onerror=alert(1)>'
+].join('\n');
+
+describe('markdown rendering', () => {
+  let accounts;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['john_doe', 'sarah_dev']);
+  });
+
+  it('stores the source and a sanitized rendering with code blocks', async () => {
+    const question = await createQuestion(accounts.john_doe.token, { body: BODY });
+
+    assert.equal(question.body, BODY);
+    assert.match(question.bodyHtml, /<em>stops<\/em>/);
+    assert.match(question.bodyHtml, /<pre><code class="language-js">/);
+    assert.doesNotMatch(question.bodyHtml, /<script|<img|onerror|javascript:/);
+    assert.deepEqual(question.codeBlocks, [
+      { language: 'js', code: 'const stream = fs.createReadStream(file);\n' }
+    ]);
+  });
+
+  it('keeps leading indentation, so indented code blocks survive', async () => {
+    const body = '    npm ci --omit=dev\n\nwhy does this skip my build tools?';
+    const question = await createQuestion(accounts.john_doe.token, { body });
+
+    assert.equal(question.body, body);
+    assert.deepEqual(question.codeBlocks, [{ language: null, code: 'npm ci --omit=dev\n' }]);
+
+    const blank = await api.post('/api/questions', {
+      token: accounts.john_doe.token,
+      body: { title: 'A question with a blank body', body: ' '.repeat(30) }
+    });
+    assert.equal(blank.status, 400);
+  });
+
+  it('lists questions with an excerpt instead of the rendering', async () => {
+    await createQuestion(accounts.john_doe.token, { body: BODY });
+
+    const res = await api.get('/api/questions');
+    const [listed] = res.body.questions;
+
+    assert.equal(listed.excerpt.startsWith('My stream stops early'), true);
+    assert.doesNotMatch(listed.excerpt, /createReadStream/);
+    assert.equal(listed.bodyHtml, undefined);
+    assert.equal(listed.codeBlocks, undefined);
+  });
+
+  it('re-renders edits', async () => {
+    const question = await createQuestion(accounts.john_doe.token);
+
+    const res = await api.put(`/api/questions/${question._id}`, {
+      token: accounts.john_doe.token,
+      body: { body: 'Now with **bold** text and a longer body.' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.bodyHtml, '<p>Now with <strong>bold</strong> text and a longer body.</p>\n');
+    assert.equal(res.body.excerpt, 'Now with bold text and a longer body.');
+    assert.deepEqual(res.body.codeBlocks, []);
+  });
+
+  it('renders answers and inline markdown in comments', async () => {
+    const question = await createQuestion(accounts.john_doe.token);
+    const answer = await createAnswer(accounts.sarah_dev.token, question._id, { body: 'Try this:\n\n```\nnpm ci\n```' });
+
+    assert.deepEqual(answer.codeBlocks, [{ language: null, code: 'npm ci\n' }]);
+
+    const comment = await api.post('/api/comments', {
+      token: accounts.john_doe.token,
+      body: { body: 'Does `npm ci` need a <b>lockfile</b>?', targetType: 'answer', targetId: answer._id }
+    });
+
+    assert.equal(comment.body.bodyHtml, 'Does <code>npm ci</code> need a &lt;b&gt;lockfile&lt;/b&gt;?');
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('mentions', () => {
+  let accounts;
+  let question;
+
+  const mentionsOf = async (username) => {
+    const res = await api.get('/api/notifications', { token: accounts[username].token });
+    return res.body.notifications.filter(notification => notification.type === 'mention');
+  };
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts();
+    question = await createQuestion(accounts.john_doe.token);
+  });
+
+  it('stores, links and notifies mentions in answers', async () => {
+    const answer = await createAnswer(accounts.sarah_dev.token, question._id, {
+      body: 'As @emma_dev said, and @john_doe asked: see @nobody_here or `@alex_coder`.'
+    });
+
+    assert.deepEqual(answer.mentions.map(mention => mention.username), ['emma_dev', 'john_doe']);
+    assert.equal(answer.mentions[0].user, accounts.emma_dev.user._id.toString());
+    assert.match(answer.bodyHtml, new RegExp(`<a href="/users/${accounts.emma_dev.user._id}" class="mention"`));
+    assert.match(answer.bodyHtml, /@nobody_here/);
+
+    assert.equal((await mentionsOf('emma_dev')).length, 1);
+    assert.equal((await mentionsOf('alex_coder')).length, 0);
+    // The asker already hears about the answer itself
+    assert.equal((await mentionsOf('john_doe')).length, 0);
+  });
+
+  it('only notifies users added by an edit', async () => {
+    const answer = await createAnswer(accounts.sarah_dev.token, question._id, {
+      body: 'Thanks to @emma_dev for the hint.'
+    });
+
+    const res = await api.put(`/api/questions/${question._id}/answers/${answer._id}`, {
+      token: accounts.sarah_dev.token,
+      body: { body: 'Thanks to @emma_dev and @alex_coder for the hint.' }
+    });
+
+    assert.equal(res.body.mentions.length, 2);
+    assert.equal((await mentionsOf('emma_dev')).length, 1);
+    assert.equal((await mentionsOf('alex_coder')).length, 1);
+  });
+
+  it('mentions users in comments', async () => {
+    const res = await api.post('/api/comments', {
+      token: accounts.emma_dev.token,
+      body: { body: '@sarah_dev might know this one', targetType: 'question', targetId: question._id }
+    });
+
+    assert.equal(res.status, 201);
+    assert.match(res.body.bodyHtml, /^<a href="\/users\/[0-9a-f]{24}" class="mention"[^>]*>@sarah_dev<\/a>/);
+
+    const [notification] = await mentionsOf('sarah_dev');
+    assert.equal(notification.comment._id, res.body._id);
+  });
+
+  describe('GET /api/questions/:id/participants', () => {
+    beforeEach(async () => {
+      await createAnswer(accounts.sarah_dev.token, question._id);
+      await api.post('/api/comments', {
+        token: accounts.emma_dev.token,
+        body: { body: 'Which Node version are you on?', targetType: 'question', targetId: question._id }
+      });
+    });
+
+    it('lists the asker, answerers and commenters', async () => {
+      const res = await api.get(`/api/questions/${question._id}/participants`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.users.map(user => user.username).sort(), ['emma_dev', 'john_doe', 'sarah_dev']);
+    });
+
+    it('filters by username prefix', async () => {
+      const res = await api.get(`/api/questions/${question._id}/participants?q=${encodeURIComponent('@SA')}`);
+
+      assert.deepEqual(res.body.users.map(user => user.username), ['sarah_dev']);
+    });
+
+    it('returns 404 for an unknown question', async () => {
+      const res = await api.get('/api/questions/000000000000000000000000/participants');
+
+      assert.equal(res.status, 404);
+    });
+  });
+});
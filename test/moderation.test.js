@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { bus, questionChannel } = require('../utils/realtime');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('hidden content', () => {
+  let accounts;
+  let question;
+  let answer;
+
+  // Flag a post and have the admin approve it, which hides it
+  const hide = async (targetType, targetId) => {
+    const reporter = targetType === 'question' ? accounts.emma_dev : accounts.john_doe;
+    const flagged = await api.post('/api/flags', {
+      token: reporter.token,
+      body: { targetType, targetId, reason: 'offensive' }
+    });
+
+    const res = await api.post(`/api/flags/${flagged.body.flag._id}/approve`, { token: accounts.admin.token });
+    assert.equal(res.body.isHidden, true);
+  };
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['admin', 'john_doe', 'emma_dev']);
+    question = await createQuestion(accounts.john_doe.token);
+    answer = await createAnswer(accounts.emma_dev.token, question._id);
+  });
+
+  it('leaves hidden posts out of profile lists for other users', async () => {
+    await hide('question', question._id);
+
+    const anonymous = await api.get(`/api/users/${accounts.john_doe.user._id}/questions`);
+    const own = await api.get(`/api/users/${accounts.john_doe.user._id}/questions`, { token: accounts.john_doe.token });
+    const moderator = await api.get(`/api/users/${accounts.john_doe.user._id}/questions`, { token: accounts.admin.token });
+
+    assert.equal(anonymous.body.questions.length, 0);
+    assert.equal(own.body.questions.length, 1);
+    assert.equal(moderator.body.questions.length, 1);
+
+    // The answer isn't hidden itself, but its question is
+    const answers = await api.get(`/api/users/${accounts.emma_dev.user._id}/answers`);
+    assert.equal(answers.body.answers.length, 0);
+  });
+
+  it('leaves hidden posts out of profile counts for other users', async () => {
+    await hide('question', question._id);
+
+    const asker = await api.get(`/api/users/${accounts.john_doe.user._id}`);
+    const own = await api.get(`/api/users/${accounts.john_doe.user._id}`, { token: accounts.john_doe.token });
+    const answerer = await api.get(`/api/users/${accounts.emma_dev.user._id}`, { token: accounts.emma_dev.token });
+    const moderator = await api.get(`/api/users/${accounts.emma_dev.user._id}`, { token: accounts.admin.token });
+
+    assert.equal(asker.body.questionsCount, 0);
+    assert.equal(own.body.questionsCount, 1);
+    assert.equal(answerer.body.answersCount, 0);
+    assert.equal(moderator.body.answersCount, 1);
+  });
+
+  it('leaves answers on a hidden question out of the feed', async () => {
+    await api.post(`/api/users/${accounts.emma_dev.user._id}/follow`, { token: accounts.john_doe.token });
+
+    const before = await api.get('/api/feed', { token: accounts.john_doe.token });
+    assert.deepEqual(before.body.items.map(item => item.type), ['answer']);
+
+    await hide('question', question._id);
+
+    const after = await api.get('/api/feed', { token: accounts.john_doe.token });
+    assert.equal(after.body.items.length, 0);
+  });
+
+  it('refuses answers, comments and votes on a hidden question', async () => {
+    await hide('question', question._id);
+    const token = accounts.emma_dev.token;
+
+    const answered = await api.post(`/api/questions/${question._id}/answers`, {
+      token,
+      body: { body: 'Another answer that is long enough to be posted.' }
+    });
+    const onQuestion = await api.post('/api/comments', {
+      token,
+      body: { body: 'A comment on the question.', targetType: 'question', targetId: question._id }
+    });
+    const onAnswer = await api.post('/api/comments', {
+      token,
+      body: { body: 'A comment on the answer.', targetType: 'answer', targetId: answer._id }
+    });
+    const voted = await api.post('/api/votes', {
+      token,
+      body: { targetType: 'question', targetId: question._id, value: 1 }
+    });
+
+    assert.equal(answered.status, 404);
+    assert.equal(onQuestion.status, 404);
+    assert.equal(onAnswer.status, 404);
+    assert.equal(voted.status, 404);
+
+    const own = await api.post('/api/comments', {
+      token: accounts.john_doe.token,
+      body: { body: 'A comment from the asker.', targetType: 'question', targetId: question._id }
+    });
+    assert.equal(own.status, 201);
+  });
+
+  it('returns 404 for revisions and bounties of a hidden question', async () => {
+    await hide('question', question._id);
+
+    for (const path of [
+      `/api/questions/${question._id}/revisions`,
+      `/api/questions/${question._id}/bounty`,
+      `/api/questions/${question._id}/answers/${answer._id}/revisions`
+    ]) {
+      assert.equal((await api.get(path)).status, 404, path);
+      assert.equal((await api.get(path, { token: accounts.admin.token })).status, 200, path);
+    }
+
+    const own = await api.get(`/api/questions/${question._id}/revisions`, { token: accounts.john_doe.token });
+    assert.equal(own.status, 200);
+  });
+
+  it('returns 404 for revisions of a hidden answer', async () => {
+    await hide('answer', answer._id);
+
+    const res = await api.get(`/api/questions/${question._id}/answers/${answer._id}/revisions`);
+    const own = await api.get(`/api/questions/${question._id}/answers/${answer._id}/revisions`, { token: accounts.emma_dev.token });
+
+    assert.equal(res.status, 404);
+    assert.equal(own.status, 200);
+  });
+
+  it('closes open streams when the question is hidden and refuses new ones', async () => {
+    const channel = questionChannel(question._id);
+    const stream = api.get(`/api/questions/${question._id}/stream`);
+
+    while (bus.listenerCount(channel) === 0) await sleep(10);
+
+    await hide('question', question._id);
+
+    const res = await stream;
+    assert.match(res.body, /event: question\.hidden/);
+    assert.equal(bus.listenerCount(channel), 0);
+
+    assert.equal((await api.get(`/api/questions/${question._id}/stream`)).status, 404);
+  });
+});
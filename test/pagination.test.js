@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts } = require('./helpers/fixtures');
+
+describe('pagination', () => {
+  let accounts;
+
+  // Inserted directly - the API's posting limits would stop at a few questions
+  const insertQuestions = (count, start = 0) => Question.insertMany(
+    Array.from({ length: count }, (_, index) => ({
+      title: `Question number ${start + index} about pagination`,
+      body: 'A question body that is long enough to be valid.',
+      asker: accounts.john_doe.user._id,
+      createdAt: new Date(Date.UTC(2026, 0, 1, 0, start + index))
+    }))
+  );
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['john_doe']);
+  });
+
+  it('pages by number with the envelope and Link header', async () => {
+    await insertQuestions(25);
+
+    const res = await api.get('/api/questions?page=2&limit=10');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.questions.length, 10);
+    assert.equal(res.body.total, 25);
+    assert.equal(res.body.currentPage, 2);
+    assert.equal(res.body.totalPages, 3);
+    assert.equal(res.body.hasMore, true);
+    assert.ok(res.body.nextCursor);
+
+    const link = res.headers.get('link');
+    assert.match(link, /[?&]cursor=[^>]+>; rel="next"/);
+    assert.match(link, /[?&]page=1>; rel="prev"/);
+    assert.match(link, /[?&]page=3>; rel="last"/);
+  });
+
+  it('walks every item exactly once by cursor, even as new items arrive', async () => {
+    await insertQuestions(12);
+
+    const seen = [];
+    let res = await api.get('/api/questions?limit=5');
+    seen.push(...res.body.questions.map(question => question.title));
+
+    // Newer questions land on page one, which offset paging would shift onto page two
+    await insertQuestions(3, 100);
+
+    while (res.body.nextCursor) {
+      res = await api.get(`/api/questions?limit=5&cursor=${res.body.nextCursor}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.currentPage, null);
+      seen.push(...res.body.questions.map(question => question.title));
+    }
+
+    assert.equal(seen.length, 12);
+    assert.equal(new Set(seen).size, 12);
+    assert.equal(res.body.hasMore, false);
+  });
+
+  it('keeps ties in a stable order', async () => {
+    await Question.insertMany(Array.from({ length: 7 }, (_, index) => ({
+      title: `Equally voted question ${index}`,
+      body: 'A question body that is long enough to be valid.',
+      asker: accounts.john_doe.user._id,
+      votes: 3
+    })));
+
+    const first = await api.get('/api/questions?sort=votes&limit=4');
+    const second = await api.get(`/api/questions?sort=votes&limit=4&cursor=${first.body.nextCursor}`);
+
+    const ids = [...first.body.questions, ...second.body.questions].map(question => question._id);
+    assert.equal(new Set(ids).size, 7);
+  });
+
+  it('rejects a cursor from another sort, or a made-up one', async () => {
+    await insertQuestions(3);
+
+    const page = await api.get('/api/questions?limit=1');
+
+    const otherSort = await api.get(`/api/questions?sort=votes&limit=1&cursor=${page.body.nextCursor}`);
+    assert.equal(otherSort.status, 400);
+    assert.equal(otherSort.body.code, 'INVALID_CURSOR');
+
+    const madeUp = await api.get('/api/questions?cursor=bm90LWEtY3Vyc29y');
+    assert.equal(madeUp.status, 400);
+    assert.equal(madeUp.body.code, 'INVALID_CURSOR');
+  });
+
+  it('rejects a cursor carrying query operators', async () => {
+    await insertQuestions(3);
+
+    const { EJSON } = mongoose.mongo.BSON;
+    const page = await api.get('/api/questions?limit=1');
+    const payload = EJSON.parse(Buffer.from(page.body.nextCursor, 'base64url').toString());
+    payload.v[0] = { $ne: null };
+    const cursor = Buffer.from(EJSON.stringify(payload)).toString('base64url');
+
+    const res = await api.get(`/api/questions?limit=1&cursor=${cursor}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_CURSOR');
+  });
+
+  it('enforces the maximum page size', async () => {
+    const res = await api.get('/api/questions?limit=1000');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.fields[0].field, 'limit');
+  });
+
+  it('uses the same envelope on user lists', async () => {
+    await insertQuestions(3);
+
+    const res = await api.get(`/api/users/${accounts.john_doe.user._id}/questions?limit=2`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.questions.length, 2);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.currentPage, 1);
+    assert.equal(res.body.hasMore, true);
+    assert.ok(res.headers.get('link'));
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('questions', () => {
+  let accounts;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts();
+  });
+
+  describe('POST /api/questions', () => {
+    it('creates a question for the logged-in user', async () => {
+      const res = await api.post('/api/questions', {
+        token: accounts.john_doe.token,
+        body: {
+          title: 'How do I read a file line by line in Node?',
+          body: 'I want to stream a large log file without loading it all into memory.',
+          tags: ['Node.js', 'streams']
+        }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.asker.username, 'john_doe');
+      assert.deepEqual(res.body.tags, ['node.js', 'streams']);
+    });
+
+    it('requires a token', async () => {
+      const res = await api.post('/api/questions', {
+        body: { title: 'A question without a user', body: 'This should never be stored anywhere.' }
+      });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('validates the title and body', async () => {
+      const res = await api.post('/api/questions', {
+        token: accounts.john_doe.token,
+        body: { title: 'Short', body: '' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'VALIDATION_FAILED');
+      assert.deepEqual(res.body.fields.map(field => field.field).sort(), ['body', 'title']);
+    });
+
+    describe('posting limits', () => {
+      const askTimes = async (token, count) => {
+        const statuses = [];
+        for (let index = 0; index < count; index++) {
+          const res = await api.post('/api/questions', {
+            token,
+            body: { title: `Posting limit question number ${index}`, body: 'A body that is long enough to be valid.' }
+          });
+          statuses.push(res.status);
+        }
+        return statuses;
+      };
+
+      it('caps new accounts with little reputation', async () => {
+        assert.deepEqual(await askTimes(accounts.john_doe.token, 3), [201, 201, 429]);
+      });
+
+      it('does not cap experts', async () => {
+        assert.deepEqual(await askTimes(accounts.sarah_dev.token, 3), [201, 201, 201]);
+      });
+
+      it('does not cap long-standing accounts', async () => {
+        await User.updateOne(
+          { _id: accounts.john_doe.user._id },
+          { $set: { createdAt: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000) } }
+        );
+
+        assert.deepEqual(await askTimes(accounts.john_doe.token, 3), [201, 201, 201]);
+      });
+    });
+  });
+
+  describe('GET /api/questions', () => {
+    it('lists questions with their answer counts', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+      await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.get('/api/questions');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 1);
+      assert.equal(res.body.questions[0]._id, question._id);
+      assert.equal(res.body.questions[0].answerCount, 1);
+    });
+
+    it('filters by is:answered and is:unanswered', async () => {
+      const answered = await createQuestion(accounts.john_doe.token);
+      const unanswered = await createQuestion(accounts.john_doe.token, { title: 'Another question that nobody answered' });
+      await createAnswer(accounts.sarah_dev.token, answered._id);
+
+      const withAnswers = await api.get(`/api/questions?search=${encodeURIComponent('is:answered')}`);
+      const withoutAnswers = await api.get(`/api/questions?search=${encodeURIComponent('is:unanswered')}`);
+
+      assert.deepEqual(withAnswers.body.questions.map(question => question._id), [answered._id]);
+      assert.deepEqual(withoutAnswers.body.questions.map(question => question._id), [unanswered._id]);
+    });
+
+    it('searches featured questions and highlights the best answer', async () => {
+      const plain = await createQuestion(accounts.john_doe.token, { title: 'Debouncing a websocket reconnect loop' });
+      const featured = await createQuestion(accounts.john_doe.token, { title: 'Throttling a websocket message handler' });
+      await createAnswer(accounts.sarah_dev.token, plain._id, { body: 'Wrap the websocket in a debounced reconnect.' });
+      await Question.updateOne({ _id: featured._id }, { $set: { bountyAmount: 100 } });
+
+      const all = await api.get('/api/questions?search=websocket');
+      const onlyFeatured = await api.get('/api/questions?search=websocket&sort=featured');
+
+      assert.equal(all.body.questions.length, 2);
+      const withAnswer = all.body.questions.find(question => question._id === plain._id);
+      assert.match(withAnswer.highlights.answer.body, /<mark>websocket<\/mark>/);
+      assert.equal(withAnswer.excerpt, plain.excerpt);
+
+      assert.deepEqual(onlyFeatured.body.questions.map(question => question._id), [featured._id]);
+    });
+
+    it('shows a question with its answers', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.get(`/api/questions/${question._id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, question.title);
+      assert.deepEqual(res.body.answers.map(a => a._id), [answer._id]);
+    });
+
+    it('rejects a malformed id', async () => {
+      const res = await api.get('/api/questions/not-an-id');
+
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown question', async () => {
+      const res = await api.get('/api/questions/000000000000000000000000');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'NOT_FOUND');
+    });
+  });
+
+  describe('PUT /api/questions/:id', () => {
+    it('lets the asker edit', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.put(`/api/questions/${question._id}`, {
+        token: accounts.john_doe.token,
+        body: { title: 'An edited title that is long enough' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, 'An edited title that is long enough');
+    });
+
+    it('forbids other users', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.put(`/api/questions/${question._id}`, {
+        token: accounts.emma_dev.token,
+        body: { title: 'Somebody else editing this question' }
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'Not authorized to update this question');
+    });
+
+    it('lets an admin edit any question', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.put(`/api/questions/${question._id}`, {
+        token: accounts.admin.token,
+        body: { title: 'Title cleaned up by a moderator' }
+      });
+
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('DELETE /api/questions/:id', () => {
+    it('forbids other users', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.delete(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('deletes the question and its answers for the asker', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+      await createAnswer(accounts.sarah_dev.token, question._id);
+
+      const res = await api.delete(`/api/questions/${question._id}`, { token: accounts.john_doe.token });
+      assert.equal(res.status, 200);
+
+      const gone = await api.get(`/api/questions/${question._id}`);
+      assert.equal(gone.status, 404);
+    });
+
+    it('lets an admin delete any question', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.delete(`/api/questions/${question._id}`, { token: accounts.admin.token });
+
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('POST /api/questions/:id/pin', () => {
+    it('lets an expert pin their own question', async () => {
+      const question = await createQuestion(accounts.sarah_dev.token);
+
+      const res = await api.post(`/api/questions/${question._id}/pin`, { token: accounts.sarah_dev.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.question.isPinned, true);
+    });
+
+    it('forbids regular users', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.post(`/api/questions/${question._id}/pin`, { token: accounts.john_doe.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'You don\'t have permission to pin questions');
+    });
+
+    it('forbids experts pinning other users\' questions', async () => {
+      const question = await createQuestion(accounts.john_doe.token);
+
+      const res = await api.post(`/api/questions/${question._id}/pin`, { token: accounts.sarah_dev.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'You can only pin your own questions');
+    });
+
+    it('lets an admin pin and unpin any question, pinned first in the list', async () => {
+      const pinned = await createQuestion(accounts.john_doe.token);
+      await createQuestion(accounts.emma_dev.token, { title: 'A newer question that is not pinned' });
+
+      const pin = await api.post(`/api/questions/${pinned._id}/pin`, { token: accounts.admin.token });
+      assert.equal(pin.status, 200);
+
+      const list = await api.get('/api/questions');
+      assert.equal(list.body.questions[0]._id, pinned._id);
+
+      const unpin = await api.post(`/api/questions/${pinned._id}/unpin`, { token: accounts.admin.token });
+      assert.equal(unpin.status, 200);
+      assert.equal(unpin.body.question.isPinned, false);
+    });
+  });
+});
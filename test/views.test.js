@@ -0,0 +1,83 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const QuestionView = require('../models/QuestionView');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion } = require('./helpers/fixtures');
+
+describe('view tracking', () => {
+  let accounts;
+  let question;
+
+  const views = async () => (await api.get(`/api/questions/${question._id}/views`)).body;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts(['john_doe', 'sarah_dev', 'emma_dev']);
+    question = await createQuestion(accounts.john_doe.token);
+  });
+
+  it('counts a signed-in viewer once, and not the asker', async () => {
+    await api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+    await api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+    await api.get(`/api/questions/${question._id}`, { token: accounts.john_doe.token });
+
+    const res = await api.get(`/api/questions/${question._id}`, { token: accounts.emma_dev.token });
+
+    assert.equal(res.body.views, 2);
+    assert.equal(res.body.viewers, undefined);
+  });
+
+  it('counts anonymous viewers once per fingerprint', async () => {
+    const firefox = { headers: { 'User-Agent': 'Firefox' } };
+
+    await api.get(`/api/questions/${question._id}`, firefox);
+    await api.get(`/api/questions/${question._id}`, firefox);
+    const res = await api.get(`/api/questions/${question._id}`, { headers: { 'User-Agent': 'Safari' } });
+
+    assert.equal(res.body.views, 2);
+  });
+
+  it('counts the same viewer again once the window has passed', async () => {
+    await api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+    await QuestionView.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+
+    assert.equal(res.body.views, 2);
+  });
+
+  it('counts concurrent views by one viewer once', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => (
+      api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token })
+    )));
+
+    assert.equal((await views()).totalViews, 1);
+  });
+
+  it('reports views per day', async () => {
+    await api.get(`/api/questions/${question._id}`, { token: accounts.sarah_dev.token });
+    await api.get(`/api/questions/${question._id}`);
+
+    const stats = await views();
+
+    assert.equal(stats.totalViews, 2);
+    assert.equal(stats.days.length, 30);
+    assert.deepEqual(stats.days[29], {
+      date: new Date().toISOString().slice(0, 10),
+      views: 2,
+      registered: 1,
+      anonymous: 1
+    });
+    assert.equal(stats.days[0].views, 0);
+  });
+
+  it('limits how far back stats go', async () => {
+    const week = await api.get(`/api/questions/${question._id}/views?days=7`);
+    assert.equal(week.body.days.length, 7);
+
+    const tooMany = await api.get(`/api/questions/${question._id}/views?days=1000`);
+    assert.equal(tooMany.status, 400);
+  });
+});
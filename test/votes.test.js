@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { recalculateReputation } = require('../utils/reputation');
+const { startServer, stopServer, resetState, api } = require('./helpers/server');
+const { seedAccounts, createQuestion, createAnswer } = require('./helpers/fixtures');
+
+describe('voting', () => {
+  let accounts;
+  let question;
+
+  const reputationOf = async (username) => {
+    const res = await api.get('/api/auth/me', { token: accounts[username].token });
+    return res.body.reputation;
+  };
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    await resetState();
+    accounts = await seedAccounts();
+    question = await createQuestion(accounts.john_doe.token);
+  });
+
+  describe('POST /api/votes', () => {
+    it('records, changes and removes a vote', async () => {
+      const vote = (value) => api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'question', targetId: question._id, value }
+      });
+
+      const recorded = await vote(1);
+      assert.equal(recorded.status, 201);
+      assert.equal(recorded.body.message, 'Vote recorded');
+      assert.equal(recorded.body.votes, 1);
+
+      const updated = await vote(-1);
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.message, 'Vote updated');
+      assert.equal(updated.body.votes, -1);
+
+      const removed = await vote(-1);
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body.message, 'Vote removed');
+      assert.equal(removed.body.votes, 0);
+    });
+
+    it('awards and takes back reputation', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+      const vote = (value) => api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'answer', targetId: answer._id, value }
+      });
+
+      await vote(1);
+      assert.equal(await reputationOf('sarah_dev'), 10);
+
+      await vote(-1);
+      assert.equal(await reputationOf('sarah_dev'), -2);
+
+      await vote(-1);
+      assert.equal(await reputationOf('sarah_dev'), 0);
+    });
+
+    it('keeps counters and reputation in step under concurrent toggles', async () => {
+      const answer = await createAnswer(accounts.sarah_dev.token, question._id);
+      const vote = () => api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'answer', targetId: answer._id, value: 1 }
+      });
+
+      await vote();
+      const results = await Promise.all(Array.from({ length: 5 }, vote));
+      assert.ok(results.every(res => [200, 201, 409].includes(res.status)));
+
+      const recount = await api.post('/api/votes/recount', { token: accounts.admin.token });
+      assert.deepEqual(recount.body.fixed, { question: 0, answer: 0 });
+
+      const current = await api.get(`/api/votes/answer/${answer._id}`, { token: accounts.emma_dev.token });
+      const upvoted = current.body.value === 1;
+      assert.equal(await reputationOf('sarah_dev'), upvoted ? 10 : 0);
+    });
+
+    it('refuses votes on your own post', async () => {
+      const res = await api.post('/api/votes', {
+        token: accounts.john_doe.token,
+        body: { targetType: 'question', targetId: question._id, value: 1 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'You cannot vote on your own question');
+    });
+
+    it('validates the vote', async () => {
+      const res = await api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'comment', targetId: question._id, value: 2 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.fields.map(field => field.field).sort(), ['targetType', 'value']);
+    });
+
+    it('requires a token', async () => {
+      const res = await api.post('/api/votes', {
+        body: { targetType: 'question', targetId: question._id, value: 1 }
+      });
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/votes/:targetType/:targetId', () => {
+    it('returns the user\'s own vote', async () => {
+      const path = `/api/votes/question/${question._id}`;
+
+      const before = await api.get(path, { token: accounts.emma_dev.token });
+      assert.deepEqual(before.body, { voted: false, value: 0 });
+
+      await api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'question', targetId: question._id, value: -1 }
+      });
+
+      const after = await api.get(path, { token: accounts.emma_dev.token });
+      assert.deepEqual(after.body, { voted: true, value: -1 });
+    });
+  });
+
+  describe('POST /api/questions/:id/upvote', () => {
+    it('upvotes and a second upvote removes the vote', async () => {
+      const path = `/api/questions/${question._id}/upvote`;
+
+      const upvoted = await api.post(path, { token: accounts.alex_coder.token });
+      assert.equal(upvoted.status, 200);
+      assert.equal(upvoted.body.message, 'Question upvoted successfully');
+      assert.equal(upvoted.body.question.votes, 1);
+      assert.equal(upvoted.body.question.asker.reputation, 10);
+
+      const removed = await api.post(path, { token: accounts.alex_coder.token });
+      assert.equal(removed.body.message, 'Vote removed');
+      assert.equal(removed.body.question.votes, 0);
+    });
+  });
+
+  describe('POST /api/votes/recount', () => {
+    it('is admin only', async () => {
+      const forbidden = await api.post('/api/votes/recount', { token: accounts.sarah_dev.token });
+      assert.equal(forbidden.status, 403);
+      assert.equal(forbidden.body.error, 'You don\'t have permission to recount votes');
+
+      const res = await api.post('/api/votes/recount', { token: accounts.admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Vote counters recomputed');
+    });
+  });
+
+  describe('recalculateReputation', () => {
+    it('keeps reputation earned before the ledger and fixes drift after it', async () => {
+      const userId = accounts.john_doe.user._id;
+      const seeded = 250;
+
+      // Reputation from before the ledger has no events behind it
+      await User.updateOne({ _id: userId }, { $set: { reputation: seeded } });
+
+      await api.post('/api/votes', {
+        token: accounts.emma_dev.token,
+        body: { targetType: 'question', targetId: question._id, value: 1 }
+      });
+
+      const opened = await recalculateReputation(userId);
+      assert.deepEqual(opened, { previous: seeded + 10, reputation: seeded + 10, opened: true });
+
+      await User.updateOne({ _id: userId }, { $inc: { reputation: 5 } });
+
+      const fixed = await recalculateReputation(userId);
+      assert.deepEqual(fixed, { previous: seeded + 15, reputation: seeded + 10, opened: false });
+      assert.equal(await reputationOf('john_doe'), seeded + 10);
+    });
+  });
+});
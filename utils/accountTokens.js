@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('./mailer');
+const { BadRequestError } = require('./errors');
+
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,               // 1 hour
+  email_verification: 24 * 60 * 60 * 1000       // 24 hours
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Frontend pages that handle the links in emails
+const appLink = (page, token) => {
+  const base = process.env.APP_URL || 'http://localhost:3000';
+  return `${base}/${page}?token=${encodeURIComponent(token)}`;
+};
+
+// Create a token for a user. Earlier unused tokens for the same purpose stop working.
+const issueToken = async (userId, purpose) => {
+  await AccountToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AccountToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+
+  return token;
+};
+
+// Use up a token. Returns the user id it was issued to.
+const consumeToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    throw new BadRequestError('Token is required');
+  }
+
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: Date.now() } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new BadRequestError('This link is invalid or has expired', { code: 'INVALID_TOKEN' });
+  }
+
+  return record.user;
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const link = appLink('reset-password', await issueToken(user._id, 'password_reset'));
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your DevFlow password',
+    text: `Hi ${user.username},\n\nUse this link to choose a new password. It expires in 1 hour.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const link = appLink('verify-email', await issueToken(user._id, 'email_verification'));
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your DevFlow email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address. This link expires in 24 hours.\n\n${link}`
+  });
+};
+
+module.exports = {
+  consumeToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
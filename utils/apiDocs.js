@@ -0,0 +1,270 @@
+// Summaries and response shapes for every route, keyed by 'METHOD /path' as
+// listed by utils/openapi.js. Everything else in the spec (parameters, bodies,
+// auth, capabilities, rate limits) is read from the routes themselves.
+//
+// Entry fields:
+//   summary      - one line shown in the docs
+//   description  - optional longer text
+//   response     - JSON schema of the success body
+//   status       - success status when it isn't 200
+//   errors       - extra error statuses the handler can return (e.g. [403, 409])
+//   stream       - true for Server-Sent Events endpoints
+//
+// `npm run check:openapi` fails when a route has no entry here.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (items) => ({ type: 'array', items });
+const object = (properties) => ({ type: 'object', properties });
+const extend = (name, properties) => ({ allOf: [ref(name), object(properties)] });
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+
+// { message, ...extra }
+const message = (properties = {}) => object({ message: string, ...properties });
+
+// Paginated list (utils/pagination.js): { [key]: [...], ...properties, total, currentPage, totalPages, limit, hasMore, nextCursor }
+const paged = (key, items, properties = {}) => object({
+  [key]: listOf(items),
+  ...properties,
+  total: integer,
+  currentPage: { type: 'integer', nullable: true, description: 'null when paging by cursor' },
+  totalPages: integer,
+  limit: integer,
+  hasMore: boolean,
+  nextCursor: { type: 'string', nullable: true, description: 'Pass back as `cursor` for the next page' }
+});
+
+const authResult = object({
+  _id: string,
+  username: string,
+  email: string,
+  role: string,
+  reputation: integer,
+  emailVerified: boolean,
+  token: { type: 'string', description: 'Access token (JWT)' },
+  refreshToken: string,
+  expiresIn: { type: 'string', example: '15m' }
+});
+
+const closeVotes = object({ close: integer, reopen: integer, required: integer });
+
+const badge = object({
+  key: string,
+  name: string,
+  tier: { type: 'string', enum: ['bronze', 'silver', 'gold'] },
+  description: string,
+  perPost: boolean
+});
+
+const badgeSummary = object({
+  gold: integer,
+  silver: integer,
+  bronze: integer,
+  badges: listOf({ allOf: [badge, object({ count: integer, firstAwardedAt: { type: 'string', format: 'date-time' } })] })
+});
+
+const answerWithComments = extend('Answer', { comments: listOf(ref('Comment')) });
+const revisionHistory = object({ revisions: listOf(ref('Revision')), diff: { type: 'object', nullable: true } });
+const voteResult = (target) => message({ vote: { type: 'integer', enum: [1, -1, 0] }, [target]: ref(target === 'question' ? 'Question' : 'Answer') });
+const withQuestion = message({ question: ref('Question') });
+const withAnswer = message({ answer: ref('Answer') });
+
+const OPERATIONS = {
+  // Auth
+  'POST /api/auth/register': { summary: 'Create an account and log in', status: 201, response: authResult, errors: [409] },
+  'POST /api/auth/login': { summary: 'Log in with email and password', response: authResult, errors: [401, 429] },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for a new access token',
+    description: 'The refresh token is rotated - store the new one.',
+    response: object({ token: string, refreshToken: string, expiresIn: string }),
+    errors: [401]
+  },
+  'POST /api/auth/logout': { summary: 'Revoke the session of a refresh token', response: message() },
+  'GET /api/auth/sessions': { summary: 'List your active sessions', response: object({ sessions: listOf(extend('Session', { isCurrent: boolean })) }) },
+  'DELETE /api/auth/sessions': { summary: 'Log out everywhere', response: message({ revoked: integer }) },
+  'DELETE /api/auth/sessions/{id}': { summary: 'Revoke one of your sessions', response: message() },
+  'POST /api/auth/forgot-password': { summary: 'Email a password reset link', description: 'Responds the same whether or not the email is registered.', response: message() },
+  'POST /api/auth/reset-password': { summary: 'Set a new password with a reset token', response: message(), errors: [400] },
+  'POST /api/auth/verify-email': { summary: 'Confirm an email address', response: message({ user: ref('User') }), errors: [400] },
+  'POST /api/auth/resend-verification': { summary: 'Send a new verification email', response: message(), errors: [400] },
+  'GET /api/auth/me': { summary: 'The logged-in user', response: extend('User', { capabilities: listOf(string) }) },
+
+  // Questions
+  'GET /api/questions': {
+    summary: 'List or search questions',
+    description: 'Questions carry `excerpt` (plain text) instead of `bodyHtml` and `codeBlocks`.',
+    response: paged('questions', ref('Question'))
+  },
+  'GET /api/questions/{id}': {
+    summary: 'A question with its answers and comments',
+    description: 'Counts a view once a day per viewer: per user when signed in, otherwise per IP and user agent. The asker\'s own views don\'t count.',
+    response: extend('Question', { closeVotes, answers: listOf(answerWithComments), comments: listOf(ref('Comment')) })
+  },
+  'GET /api/questions/{id}/views': {
+    summary: 'Views of a question per day',
+    response: object({
+      questionId: string,
+      totalViews: integer,
+      days: listOf(object({ date: { type: 'string', example: '2026-10-19' }, views: integer, registered: integer, anonymous: integer }))
+    })
+  },
+  'GET /api/questions/{id}/participants': {
+    summary: 'Autocomplete @mentions among a question\'s participants',
+    description: 'The asker, answerers and commenters whose username starts with `q` (case-insensitive, a leading `@` is ignored), highest reputation first.',
+    response: paged('users', ref('User'))
+  },
+  'GET /api/questions/{id}/stream': {
+    summary: 'Live updates for a question (votes, answers, comments)',
+    description: 'Not available for hidden questions; open streams end with a `question.hidden` event when moderation hides the question.',
+    stream: true
+  },
+  'POST /api/questions': { summary: 'Ask a question', status: 201, response: ref('Question') },
+  'PUT /api/questions/{id}': { summary: 'Edit a question', response: ref('Question'), errors: [403] },
+  'GET /api/questions/{id}/revisions': { summary: 'Edit history of a question', response: revisionHistory },
+  'POST /api/questions/{id}/revisions/{revision}/rollback': { summary: 'Roll a question back to a revision', response: withQuestion, errors: [403] },
+  'DELETE /api/questions/{id}': { summary: 'Delete a question', response: message(), errors: [403] },
+  'POST /api/questions/{id}/answers': { summary: 'Answer a question', status: 201, response: ref('Answer'), errors: [403] },
+  'PUT /api/questions/{id}/answers/{answerId}': { summary: 'Edit an answer', response: ref('Answer'), errors: [403] },
+  'DELETE /api/questions/{id}/answers/{answerId}': { summary: 'Delete an answer', response: message(), errors: [403] },
+  'POST /api/questions/{id}/upvote': { summary: 'Upvote a question (again to undo)', response: voteResult('question'), errors: [400] },
+  'POST /api/questions/{id}/downvote': { summary: 'Downvote a question (again to undo)', response: voteResult('question'), errors: [400] },
+  'POST /api/questions/{id}/answers/{answerId}/upvote': { summary: 'Upvote an answer (again to undo)', response: voteResult('answer'), errors: [400] },
+  'POST /api/questions/{id}/answers/{answerId}/downvote': { summary: 'Downvote an answer (again to undo)', response: voteResult('answer'), errors: [400] },
+  'PUT /api/questions/{id}/answers/{answerId}/accept': { summary: 'Accept an answer (asker only)', response: withAnswer, errors: [403] },
+  'GET /api/questions/{id}/bounty': { summary: 'Active and past bounties on a question', response: object({ active: { allOf: [ref('Bounty')], nullable: true }, bounties: listOf(ref('Bounty')) }) },
+  'POST /api/questions/{id}/bounty': { summary: 'Offer a bounty from your reputation', status: 201, response: message({ bounty: ref('Bounty') }), errors: [400, 403, 409] },
+  'POST /api/questions/{id}/bounty/award': { summary: 'Award the active bounty to an answer', response: message({ bounty: ref('Bounty') }), errors: [403] },
+  'POST /api/questions/{id}/close': {
+    summary: 'Vote to close a question',
+    description: 'Closes the question once enough votes are in, or at once for users with `question.close.binding`.',
+    response: message({ closed: boolean, closeVotes, question: ref('Question') }),
+    errors: [409]
+  },
+  'POST /api/questions/{id}/reopen': { summary: 'Vote to reopen a closed question', response: message({ reopened: boolean, closeVotes, question: ref('Question') }), errors: [400, 409] },
+  'POST /api/questions/{id}/lock': { summary: 'Lock a question', response: withQuestion },
+  'POST /api/questions/{id}/unlock': { summary: 'Unlock a question', response: withQuestion },
+  'POST /api/questions/{id}/pin': { summary: 'Pin a question to the top of the list', response: withQuestion },
+  'POST /api/questions/{id}/unpin': { summary: 'Unpin a question', response: withQuestion },
+  'POST /api/questions/{id}/answers/{answerId}/verify': { summary: 'Mark an answer as expert-verified', response: withAnswer, errors: [400] },
+  'POST /api/questions/{id}/answers/{answerId}/unverify': { summary: 'Remove expert verification', response: withAnswer, errors: [400] },
+
+  // Answers
+  'GET /api/questions/{questionId}/answers/{answerId}/revisions': { summary: 'Edit history of an answer', response: revisionHistory },
+  'POST /api/questions/{questionId}/answers/{answerId}/revisions/{revision}/rollback': { summary: 'Roll an answer back to a revision', response: withAnswer, errors: [403] },
+
+  // Votes
+  'POST /api/votes': {
+    summary: 'Vote on a question or answer',
+    description: 'Voting the same value again removes the vote; the opposite value changes it.',
+    status: 201,
+    response: message({ votes: integer }),
+    errors: [400, 409]
+  },
+  'POST /api/votes/recount': { summary: 'Recompute every vote counter', response: message({ fixed: integer }) },
+  'GET /api/votes/{targetType}/{targetId}': { summary: 'Your vote on a question or answer', response: object({ voted: boolean, value: { type: 'integer', enum: [1, -1, 0] } }) },
+
+  // Comments
+  'POST /api/comments': { summary: 'Comment on a question or answer', status: 201, response: ref('Comment') },
+  'DELETE /api/comments/{id}': { summary: 'Delete a comment', response: message(), errors: [403] },
+
+  // Users
+  'GET /api/users/{id}': {
+    summary: 'Public profile',
+    response: object({
+      _id: string,
+      username: string,
+      email: string,
+      bio: string,
+      title: string,
+      location: string,
+      reputation: integer,
+      role: string,
+      createdAt: { type: 'string', format: 'date-time' },
+      questionsCount: integer,
+      answersCount: integer,
+      followersCount: integer,
+      followingCount: integer,
+      isFollowing: boolean,
+      badges: badgeSummary
+    })
+  },
+  'PUT /api/users/{id}/role': { summary: 'Change a user\'s role', response: message({ user: ref('User') }), errors: [400] },
+  'PUT /api/users/{id}': { summary: 'Edit your profile', response: ref('User'), errors: [403, 409] },
+  'GET /api/users/{id}/questions': { summary: 'Questions asked by a user', response: paged('questions', ref('Question')) },
+  'GET /api/users/{id}/answers': { summary: 'Answers written by a user', response: paged('answers', ref('Answer')) },
+  'POST /api/users/{id}/follow': { summary: 'Follow a user', response: message({ isFollowing: boolean, followersCount: integer }), errors: [400] },
+  'DELETE /api/users/{id}/follow': { summary: 'Unfollow a user', response: message({ isFollowing: boolean, followersCount: integer }) },
+  'GET /api/users/{id}/followers': { summary: 'Users following a user', response: paged('followers', ref('User')) },
+  'GET /api/users/{id}/following': { summary: 'Users a user follows', response: paged('following', ref('User')) },
+  'GET /api/users/{id}/reputation': {
+    summary: 'Reputation history',
+    response: paged('events', ref('ReputationEvent'), {
+      userId: string,
+      username: string,
+      reputation: integer,
+      daily: listOf(object({ date: string, points: integer, events: integer }))
+    })
+  },
+  'GET /api/users/{id}/role-history': { summary: 'Role changes of a user', response: object({ changes: listOf(ref('RoleChange')) }) },
+  'GET /api/users/{id}/badges': {
+    summary: 'Badges earned by a user',
+    response: paged('awards', extend('UserBadge', { badge }), { userId: string, username: string, summary: badgeSummary })
+  },
+
+  // Search
+  'GET /api/search': {
+    summary: 'Full-text question search',
+    description: 'Supports `[tag]`, `user:name`, `is:answered`, `is:closed`, `score:>5` and `"exact phrase"`.',
+    response: paged('results', extend('Question', { score: { type: 'number' }, highlights: object({ title: string, body: string }) }), { query: { type: 'object' } })
+  },
+
+  // Tags
+  'GET /api/tags': { summary: 'List tags', response: paged('tags', ref('Tag')) },
+  'GET /api/tags/{name}': { summary: 'A tag with its wiki', description: 'Synonyms resolve to their main tag.', response: extend('Tag', { redirectedFrom: string }) },
+  'PUT /api/tags/{name}': { summary: 'Edit a tag\'s description and wiki', response: ref('Tag') },
+  'POST /api/tags/{name}/watch': { summary: 'Watch a tag', response: message({ watchedTags: listOf(string) }), errors: [400] },
+  'DELETE /api/tags/{name}/watch': { summary: 'Stop watching a tag', response: message({ watchedTags: listOf(string) }) },
+  'POST /api/tags/{name}/synonyms': { summary: 'Add a synonym to a tag', status: 201, response: message({ tag: ref('Tag') }), errors: [400, 409] },
+  'DELETE /api/tags/{name}/synonyms/{synonym}': { summary: 'Remove a synonym', response: message({ tag: ref('Tag') }) },
+
+  // Notifications
+  'GET /api/notifications': { summary: 'Your notifications', response: paged('notifications', ref('Notification'), { unreadCount: integer }) },
+  'GET /api/notifications/unread-count': { summary: 'Number of unread notifications', response: object({ unreadCount: integer }) },
+  'GET /api/notifications/stream': { summary: 'Live notifications', stream: true },
+  'PUT /api/notifications/read-all': { summary: 'Mark every notification read', response: message({ updated: integer, unreadCount: integer }) },
+  'PUT /api/notifications/{id}/read': { summary: 'Mark a notification read', response: object({ notification: ref('Notification'), unreadCount: integer }), errors: [403] },
+
+  // Feed
+  'GET /api/feed': {
+    summary: 'Activity from followed users and watched tags',
+    description: 'Cursor-paginated only: pass `nextCursor` back as `cursor`.',
+    response: paged('items', object({
+      type: { type: 'string', enum: ['question', 'answer'] },
+      reason: { type: 'string', enum: ['following', 'tag'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      _id: string,
+      question: ref('Question'),
+      answer: ref('Answer')
+    }))
+  },
+
+  // Flags
+  'POST /api/flags': { summary: 'Flag a post for moderators', status: 201, response: message({ flag: ref('Flag') }), errors: [400, 409] },
+  'GET /api/flags': { summary: 'Moderation queue', response: paged('flags', ref('Flag')), errors: [403] },
+  'GET /api/flags/{id}': { summary: 'A flag with its history', response: ref('Flag') },
+  'POST /api/flags/{id}/approve': { summary: 'Approve a flag', response: message({ flag: ref('Flag'), resolved: integer, isHidden: boolean }), errors: [400] },
+  'POST /api/flags/{id}/dismiss': { summary: 'Dismiss a flag', response: message({ flag: ref('Flag'), resolved: integer, isHidden: boolean }), errors: [400] },
+
+  // Badges
+  'GET /api/badges': { summary: 'Every badge with award counts', response: object({ badges: listOf({ allOf: [badge, object({ awarded: integer, holders: integer })] }) }) },
+  'GET /api/badges/{key}': { summary: 'A badge and its recent awards', response: { allOf: [badge, paged('awards', ref('UserBadge'))] } },
+
+  // Meta
+  'GET /api/test': { summary: 'Health check', response: message({ environment: string }) },
+  'GET /api/openapi.json': { summary: 'This OpenAPI document', response: { type: 'object' } },
+  'GET /api/docs': { summary: 'Browsable API docs', responseDescription: 'HTML page', response: string }
+};
+
+module.exports = { OPERATIONS };
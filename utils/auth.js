@@ -1,36 +1,107 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { UnauthorizedError } = require('./errors');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// Access tokens are short-lived; clients renew them with a refresh token (see utils/sessions.js)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// How long a session lookup is reused. Revoking a session clears it on this
+// instance straight away; other instances notice within this long.
+const SESSION_CACHE_MS = 30 * 1000;
+
+// sessionId -> { userId, active, checkedAt }
+const sessionCache = new Map();
+
+// Drop stale lookups so sessions that are no longer used don't pile up
+const sweep = setInterval(() => {
+  const staleBefore = Date.now() - SESSION_CACHE_MS;
+  for (const [sessionId, entry] of sessionCache) {
+    if (entry.checkedAt <= staleBefore) sessionCache.delete(sessionId);
+  }
+}, 60 * 1000);
+sweep.unref();
+
+// Generate JWT access token for a user's session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
   });
 };
 
-// Middleware to protect routes
-const protect = async (req, res, next) => {
-  let token;
+// Verify an access token. Expired tokens get their own code so clients know to refresh.
+const verifyToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Not authorized, token expired', { code: 'TOKEN_EXPIRED' });
+    }
+    throw new UnauthorizedError('Not authorized, token failed', { code: 'INVALID_TOKEN' });
+  }
+};
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+// Whether the session an access token was issued for is still active and
+// belongs to the token's user
+const sessionIsActive = async ({ id, sid }) => {
+  let entry = sessionCache.get(sid);
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!entry || entry.checkedAt <= Date.now() - SESSION_CACHE_MS) {
+    const session = await Session.findById(sid).select('user revokedAt expiresAt');
 
-      // Attach user id to request
-      req.userId = decoded.id;
+    entry = {
+      userId: session ? session.user.toString() : null,
+      active: Boolean(session && !session.revokedAt && session.expiresAt > new Date()),
+      checkedAt: Date.now()
+    };
+    sessionCache.set(sid, entry);
+  }
 
-      next();
-    } catch (error) {
-      return res.status(401).json({ error: 'Not authorized, token failed' });
+  return entry.active && entry.userId === id;
+};
+
+// Forget cached lookups after a revocation: one session, or every session of a user
+const clearSessionCache = ({ sessionId, userId }) => {
+  if (sessionId) sessionCache.delete(sessionId.toString());
+
+  if (userId) {
+    for (const [cachedId, entry] of sessionCache) {
+      if (entry.userId === userId.toString()) sessionCache.delete(cachedId);
     }
   }
+};
 
-  if (!token) {
-    return res.status(401).json({ error: 'Not authorized, no token' });
+// Verify an access token and check its session hasn't been revoked (logout,
+// "log out everywhere", password reset). Returns the decoded token.
+const authenticate = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (typeof decoded.sid !== 'string' || !mongoose.isValidObjectId(decoded.sid)) {
+    throw new UnauthorizedError('Not authorized, token failed', { code: 'INVALID_TOKEN' });
   }
+
+  if (!(await sessionIsActive(decoded))) {
+    throw new UnauthorizedError('Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+  }
+
+  return decoded;
+};
+
+// Middleware to protect routes
+const protect = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next(new UnauthorizedError('Not authorized, no token'));
+  }
+
+  // Get token from header
+  const token = req.headers.authorization.split(' ')[1];
+
+  // Verify token and session, then attach user id (and session id) to request
+  const decoded = await authenticate(token);
+  req.userId = decoded.id;
+  req.sessionId = decoded.sid;
+
+  next();
 };
 
 // Optional middleware - gets user ID if token exists, but doesn't require it
@@ -40,14 +111,46 @@ const optionalAuth = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await authenticate(token);
       req.userId = decoded.id;
+      req.sessionId = decoded.sid;
     } catch (error) {
-     
+      // Invalid, expired or revoked tokens are treated as anonymous
     }
   }
 
   next();
 };
 
-module.exports = { generateToken, protect, optionalAuth };
\ No newline at end of file
+// Middleware for Server-Sent Events streams - EventSource can't send headers,
+// so the token may also come from the `token` query parameter
+const protectStream = async (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.query.token) {
+    token = req.query.token;
+  }
+
+  if (!token) {
+    return next(new UnauthorizedError('Not authorized, no token'));
+  }
+
+  const decoded = await authenticate(token);
+  req.userId = decoded.id;
+  req.sessionId = decoded.sid;
+  // Streams close when the token expires (see openStream)
+  req.tokenExpiresAt = decoded.exp * 1000;
+  next();
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  SESSION_CACHE_MS,
+  generateToken,
+  clearSessionCache,
+  protect,
+  optionalAuth,
+  protectStream
+};
\ No newline at end of file
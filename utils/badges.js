@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const UserBadge = require('../models/UserBadge');
+const { notify } = require('./notifications');
+const { publishToUser } = require('./realtime');
+
+const GOOD_ANSWER_VOTES = 10;
+const POPULAR_QUESTION_VIEWS = 100;
+const ENTHUSIAST_DAYS = 30;
+const FANATIC_DAYS = 100;
+
+// Days on which a user asked, answered or commented
+const activeDays = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  const byDay = (Model, field) => Model.aggregate([
+    { $match: { [field]: id } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } }
+  ]);
+
+  const results = await Promise.all([
+    byDay(Question, 'asker'),
+    byDay(Answer, 'answerer'),
+    byDay(Comment, 'author')
+  ]);
+
+  return new Set(results.flat().map(day => day._id)).size;
+};
+
+const earnedOnce = (earned) => (earned ? [null] : []);
+
+// Values several rules need, computed at most once per evaluation
+const evaluationContext = (userId) => {
+  let days;
+  return {
+    activeDays: () => {
+      if (!days) days = activeDays(userId);
+      return days;
+    }
+  };
+};
+
+// Badge rules. `events` lists the activity that can earn the badge; `find`
+// (userId, context) returns what the user has earned it for - [null] for
+// one-off badges, or the ids of the qualifying posts for badges with a `targetType`.
+const BADGES = [
+  {
+    key: 'problem_solver',
+    name: 'Problem Solver',
+    tier: 'bronze',
+    description: 'Had an answer accepted',
+    events: ['accept'],
+    find: async (userId) => earnedOnce(await Answer.exists({ answerer: userId, isAccepted: true }))
+  },
+  {
+    key: 'good_answer',
+    name: 'Good Answer',
+    tier: 'silver',
+    description: `Answer scored ${GOOD_ANSWER_VOTES} or more`,
+    targetType: 'answer',
+    events: ['vote'],
+    find: (userId) => Answer.find({ answerer: userId, votes: { $gte: GOOD_ANSWER_VOTES } }).distinct('_id')
+  },
+  {
+    key: 'popular_question',
+    name: 'Popular Question',
+    tier: 'bronze',
+    description: `Question viewed by ${POPULAR_QUESTION_VIEWS} users`,
+    targetType: 'question',
+    events: ['view'],
+    find: (userId) => Question.find({ asker: userId, views: { $gte: POPULAR_QUESTION_VIEWS } }).distinct('_id')
+  },
+  {
+    key: 'expert_approved',
+    name: 'Expert Approved',
+    tier: 'silver',
+    description: 'Had an answer verified by an expert',
+    events: ['verify'],
+    find: async (userId) => earnedOnce(await Answer.exists({ answerer: userId, isVerified: true }))
+  },
+  {
+    key: 'enthusiast',
+    name: 'Enthusiast',
+    tier: 'silver',
+    description: `Posted on ${ENTHUSIAST_DAYS} different days`,
+    events: ['post'],
+    find: async (userId, context) => earnedOnce(await context.activeDays() >= ENTHUSIAST_DAYS)
+  },
+  {
+    key: 'fanatic',
+    name: 'Fanatic',
+    tier: 'gold',
+    description: `Posted on ${FANATIC_DAYS} different days`,
+    events: ['post'],
+    find: async (userId, context) => earnedOnce(await context.activeDays() >= FANATIC_DAYS)
+  }
+];
+
+const BADGES_BY_KEY = new Map(BADGES.map(badge => [badge.key, badge]));
+
+// Public view of a badge definition
+const describeBadge = ({ key, name, tier, description, targetType }) => ({
+  key,
+  name,
+  tier,
+  description,
+  perPost: Boolean(targetType)
+});
+
+const awardBadge = async (userId, badge, targetId, silent) => {
+  const result = await UserBadge.updateOne(
+    { user: userId, badge: badge.key, targetId },
+    {
+      $setOnInsert: {
+        tier: badge.tier,
+        targetType: targetId ? badge.targetType : undefined,
+        awardedAt: Date.now()
+      }
+    },
+    { upsert: true }
+  ).catch((error) => {
+    // A concurrent evaluation awarded it first
+    if (error.code === 11000) return { upsertedCount: 0 };
+    throw error;
+  });
+
+  if (result.upsertedCount === 0) return null;
+
+  const award = { user: userId, badge: badge.key, tier: badge.tier, targetType: badge.targetType, targetId };
+  if (silent) return award;
+
+  await notify({
+    recipient: userId,
+    type: 'badge',
+    badge: badge.key,
+    question: badge.targetType === 'question' ? targetId : undefined,
+    answer: badge.targetType === 'answer' ? targetId : undefined
+  });
+
+  publishToUser(userId, 'badge.awarded', { ...award, badge: describeBadge(badge) });
+
+  return award;
+};
+
+// Award every badge the user has newly earned. Pass an event ('accept', 'vote',
+// 'view', 'verify', 'post') to only check the badges it can earn; omit it to
+// check them all. Badges are never taken away. `silent` skips notifications
+// (used by the backfill script). Returns the new awards.
+const evaluateBadges = async (userId, event, { silent = false } = {}) => {
+  if (!userId) return [];
+
+  const candidates = event ? BADGES.filter(badge => badge.events.includes(event)) : BADGES;
+
+  // One-off badges the user already holds can't be earned again
+  const oneOff = candidates.filter(badge => !badge.targetType).map(badge => badge.key);
+  const held = oneOff.length > 0
+    ? new Set(await UserBadge.find({ user: userId, badge: { $in: oneOff } }).distinct('badge'))
+    : new Set();
+  const rules = candidates.filter(badge => !held.has(badge.key));
+
+  const context = evaluationContext(userId);
+  const awarded = [];
+
+  for (const badge of rules) {
+    const targets = await badge.find(userId, context);
+
+    for (const targetId of targets) {
+      const award = await awardBadge(userId, badge, targetId, silent);
+      if (award) awarded.push(award);
+    }
+  }
+
+  return awarded;
+};
+
+// Badge totals per tier plus one entry per badge key for a profile
+const badgeSummary = async (userId) => {
+  const counts = await UserBadge.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$badge', count: { $sum: 1 }, firstAwardedAt: { $min: '$awardedAt' } } },
+    { $sort: { firstAwardedAt: 1 } }
+  ]);
+
+  const tiers = { gold: 0, silver: 0, bronze: 0 };
+  const badges = [];
+
+  for (const { _id: key, count, firstAwardedAt } of counts) {
+    const badge = BADGES_BY_KEY.get(key);
+    if (!badge) continue;
+
+    tiers[badge.tier] += count;
+    badges.push({ ...describeBadge(badge), count, firstAwardedAt });
+  }
+
+  return { ...tiers, badges };
+};
+
+module.exports = {
+  GOOD_ANSWER_VOTES,
+  POPULAR_QUESTION_VIEWS,
+  BADGES,
+  BADGES_BY_KEY,
+  describeBadge,
+  evaluateBadges,
+  badgeSummary
+};
@@ -0,0 +1,218 @@
+const Bounty = require('../models/Bounty');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const { spendReputation, recordEvent } = require('./reputation');
+const { notify } = require('./notifications');
+const { publishToQuestion } = require('./realtime');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+const MIN_BOUNTY = 50;
+const MAX_BOUNTY = 500;
+const BOUNTY_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Give an unpaid bounty's reputation back to the user who offered it
+const refund = ({ userId, amount, questionId }) => {
+  return recordEvent({
+    user: userId,
+    type: 'bounty_offered',
+    points: -amount,
+    isReversal: true,
+    targetType: 'question',
+    targetId: questionId,
+    actor: userId
+  });
+};
+
+// Place a bounty on a question, paid up front from the asker's reputation
+const offerBounty = async ({ question, userId, amount }) => {
+  amount = Number(amount);
+
+  if (question.asker.toString() !== userId.toString()) {
+    throw new ForbiddenError('Only the question asker can offer a bounty');
+  }
+
+  if (question.isHidden) {
+    throw new ForbiddenError('You cannot offer a bounty on a hidden question');
+  }
+
+  if (question.isClosed || question.isLocked) {
+    throw new ForbiddenError('You cannot offer a bounty on a closed or locked question');
+  }
+
+  if (!Number.isInteger(amount) || amount < MIN_BOUNTY || amount > MAX_BOUNTY) {
+    throw new BadRequestError(`Bounty must be a whole number between ${MIN_BOUNTY} and ${MAX_BOUNTY}`);
+  }
+
+  const active = await Bounty.exists({ question: question._id, status: 'active' });
+  if (active) {
+    throw new ConflictError('This question already has an active bounty');
+  }
+
+  const spent = await spendReputation({
+    user: userId,
+    amount,
+    type: 'bounty_offered',
+    targetType: 'question',
+    targetId: question._id
+  });
+
+  if (!spent) {
+    throw new BadRequestError('Not enough reputation for this bounty');
+  }
+
+  let bounty;
+  try {
+    bounty = await Bounty.create({
+      question: question._id,
+      offeredBy: userId,
+      amount,
+      expiresAt: new Date(Date.now() + BOUNTY_DURATION_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Another offer won the race (one active bounty per question)
+    await refund({ userId, amount, questionId: question._id });
+    throw new ConflictError('This question already has an active bounty');
+  }
+
+  await Question.updateOne(
+    { _id: question._id },
+    { $set: { bountyAmount: amount, bountyExpiresAt: bounty.expiresAt } }
+  );
+
+  return bounty;
+};
+
+// Pay an active bounty to an answer and close it. The bounty is claimed
+// atomically, so it is paid once even if an award and the expiry job race.
+// Resolves to null when it was no longer active.
+const payBounty = async ({ bounty: { _id }, answer, autoAwarded = false }) => {
+  const bounty = await Bounty.findOneAndUpdate(
+    { _id, status: 'active' },
+    {
+      $set: {
+        status: 'awarded',
+        awardedAnswer: answer._id,
+        awardedTo: answer.answerer,
+        awardedAt: Date.now(),
+        autoAwarded
+      }
+    },
+    { new: true }
+  );
+
+  if (!bounty) return null;
+
+  await recordEvent({
+    user: answer.answerer,
+    type: 'bounty_awarded',
+    points: bounty.amount,
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: bounty.offeredBy
+  });
+
+  await Question.updateOne(
+    { _id: bounty.question },
+    { $set: { bountyAmount: 0 }, $unset: { bountyExpiresAt: 1 } }
+  );
+
+  await notify({
+    recipient: answer.answerer,
+    actor: bounty.offeredBy,
+    type: 'bounty',
+    question: bounty.question,
+    answer: answer._id
+  });
+
+  publishToQuestion(bounty.question, 'bounty.awarded', {
+    answerId: answer._id,
+    amount: bounty.amount,
+    autoAwarded
+  });
+
+  return bounty;
+};
+
+// Manually award the active bounty on a question (bounty owner only)
+const awardBounty = async ({ question, answerId, userId }) => {
+  const bounty = await Bounty.findOne({ question: question._id, status: 'active' });
+
+  if (!bounty) {
+    throw new NotFoundError('This question has no active bounty');
+  }
+
+  if (bounty.offeredBy.toString() !== userId.toString()) {
+    throw new ForbiddenError('Only the user who offered the bounty can award it');
+  }
+
+  const answer = await Answer.findById(answerId);
+
+  if (!answer || answer.questionId.toString() !== question._id.toString() || answer.isHidden) {
+    throw new NotFoundError('Answer not found on this question');
+  }
+
+  if (answer.answerer.toString() === userId.toString()) {
+    throw new BadRequestError('You cannot award a bounty to your own answer');
+  }
+
+  const paid = await payBounty({ bounty, answer });
+
+  if (!paid) {
+    throw new ConflictError('This bounty has already been closed');
+  }
+  return paid;
+};
+
+// Cancel a question's active bounty and refund it (when the question is deleted)
+const cancelBounty = async (questionId) => {
+  const bounty = await Bounty.findOneAndDelete({ question: questionId, status: 'active' });
+  if (!bounty) return null;
+
+  await refund({ userId: bounty.offeredBy, amount: bounty.amount, questionId });
+  return bounty;
+};
+
+// Close every bounty past its expiry. Each one is paid to the top-voted answer
+// (with a positive score, not hidden, not written by the bounty owner) or expires unpaid.
+// Returns { awarded, expired } counts.
+const expireBounties = async (now = new Date()) => {
+  const due = await Bounty.find({ status: 'active', expiresAt: { $lte: now } });
+  let awarded = 0;
+  let expired = 0;
+
+  for (const bounty of due) {
+    const topAnswer = await Answer.findOne({
+      questionId: bounty.question,
+      answerer: { $ne: bounty.offeredBy },
+      votes: { $gt: 0 },
+      isHidden: { $ne: true }
+    }).sort({ votes: -1, createdAt: 1 });
+
+    if (topAnswer) {
+      if (await payBounty({ bounty, answer: topAnswer, autoAwarded: true })) awarded += 1;
+      continue;
+    }
+
+    const closed = await Bounty.updateOne({ _id: bounty._id, status: 'active' }, { $set: { status: 'expired' } });
+    if (closed.modifiedCount === 1) {
+      await Question.updateOne(
+        { _id: bounty.question },
+        { $set: { bountyAmount: 0 }, $unset: { bountyExpiresAt: 1 } }
+      );
+      expired += 1;
+    }
+  }
+
+  return { awarded, expired };
+};
+
+module.exports = {
+  MIN_BOUNTY,
+  MAX_BOUNTY,
+  offerBounty,
+  awardBounty,
+  cancelBounty,
+  expireBounties
+};
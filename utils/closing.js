@@ -0,0 +1,155 @@
+const CloseVote = require('../models/CloseVote');
+const Question = require('../models/Question');
+const { publishToQuestion } = require('./realtime');
+const { hasCapability, permissionMessage } = require('./permissions');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+const CLOSE_REASONS = ['duplicate', 'off_topic', 'needs_details', 'opinion_based'];
+
+// Votes needed to close or reopen a question
+const CLOSE_VOTES_REQUIRED = 3;
+
+// Open (unresolved) vote counts for a question
+const closeVoteCounts = async (questionId) => {
+  const [close, reopen] = await Promise.all([
+    CloseVote.countDocuments({ question: questionId, type: 'close', resolved: false }),
+    CloseVote.countDocuments({ question: questionId, type: 'reopen', resolved: false })
+  ]);
+
+  return { close, reopen, required: CLOSE_VOTES_REQUIRED };
+};
+
+// Most common reason (and duplicate target) among the open close votes
+const winningReason = (votes) => {
+  const tally = new Map();
+  for (const vote of votes) {
+    const key = vote.reason === 'duplicate' ? `duplicate:${vote.duplicateOf}` : vote.reason;
+    tally.set(key, (tally.get(key) || 0) + 1);
+  }
+
+  const [key] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0];
+  const [reason, duplicateOf] = key.split(':');
+  return { reason, duplicateOf: duplicateOf || undefined };
+};
+
+const recordVote = async (data) => {
+  try {
+    return await CloseVote.create(data);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`You have already voted to ${data.type} this question`);
+    }
+    throw error;
+  }
+};
+
+// Vote to close a question. Votes from users with question.close.binding close
+// it at once; otherwise it closes once CLOSE_VOTES_REQUIRED votes are in.
+// Returns { question, closed, votes }
+const voteToClose = async ({ question, user, reason, duplicateOf }) => {
+  if (!hasCapability(user, 'question.close')) {
+    throw new ForbiddenError(permissionMessage('question.close'));
+  }
+
+  if (question.isClosed) {
+    throw new BadRequestError('Question is already closed');
+  }
+
+  if (!CLOSE_REASONS.includes(reason)) {
+    throw new BadRequestError(`Reason must be one of: ${CLOSE_REASONS.join(', ')}`);
+  }
+
+  if (reason === 'duplicate') {
+    if (!duplicateOf || duplicateOf.toString() === question._id.toString()) {
+      throw new BadRequestError('A duplicate must point to another question');
+    }
+
+    const original = await Question.exists({ _id: duplicateOf });
+    if (!original) {
+      throw new NotFoundError('Duplicate target question not found');
+    }
+  }
+
+  await recordVote({
+    question: question._id,
+    user: user._id,
+    type: 'close',
+    reason,
+    duplicateOf: reason === 'duplicate' ? duplicateOf : undefined
+  });
+
+  const votes = await CloseVote.find({ question: question._id, type: 'close', resolved: false });
+
+  const binding = hasCapability(user, 'question.close.binding');
+
+  if (!binding && votes.length < CLOSE_VOTES_REQUIRED) {
+    return { question, closed: false, votes: await closeVoteCounts(question._id) };
+  }
+
+  const outcome = binding
+    ? { reason, duplicateOf: reason === 'duplicate' ? duplicateOf : undefined }
+    : winningReason(votes);
+
+  question.isClosed = true;
+  question.closedReason = outcome.reason;
+  question.closedAt = Date.now();
+  question.duplicateOf = outcome.duplicateOf;
+  await question.save();
+
+  await CloseVote.updateMany({ question: question._id, resolved: false }, { $set: { resolved: true } });
+
+  publishToQuestion(question._id, 'question.closed', {
+    questionId: question._id,
+    closedReason: question.closedReason,
+    duplicateOf: question.duplicateOf
+  });
+
+  return { question, closed: true, votes: await closeVoteCounts(question._id) };
+};
+
+// Vote to reopen a closed question. Returns { question, reopened, votes }
+const voteToReopen = async ({ question, user }) => {
+  if (!hasCapability(user, 'question.close')) {
+    throw new ForbiddenError(permissionMessage('question.close'));
+  }
+
+  if (!question.isClosed) {
+    throw new BadRequestError('Question is not closed');
+  }
+
+  await recordVote({ question: question._id, user: user._id, type: 'reopen' });
+
+  const count = await CloseVote.countDocuments({ question: question._id, type: 'reopen', resolved: false });
+
+  if (!hasCapability(user, 'question.close.binding') && count < CLOSE_VOTES_REQUIRED) {
+    return { question, reopened: false, votes: await closeVoteCounts(question._id) };
+  }
+
+  question.isClosed = false;
+  question.closedReason = undefined;
+  question.closedAt = undefined;
+  question.duplicateOf = undefined;
+  await question.save();
+
+  await CloseVote.updateMany({ question: question._id, resolved: false }, { $set: { resolved: true } });
+
+  publishToQuestion(question._id, 'question.reopened', { questionId: question._id });
+
+  return { question, reopened: true, votes: await closeVoteCounts(question._id) };
+};
+
+// Reason a question can't take new answers, or null if it can
+const answersBlockedReason = (question) => {
+  if (question.isLocked) return 'This question is locked and no longer accepts answers';
+  if (question.isClosed) return 'This question is closed and no longer accepts answers';
+  return null;
+};
+
+module.exports = {
+  CLOSE_REASONS,
+  CLOSE_VOTES_REQUIRED,
+  closeVoteCounts,
+  voteToClose,
+  voteToReopen,
+  answersBlockedReason
+};
@@ -0,0 +1,58 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+
+// Denormalized counters, updated whenever answers or comments are added or removed:
+//   Question.answerCount, Question.commentCount, Answer.commentCount
+// Hidden posts still count. scripts/recountPostCounters.js rebuilds them if they drift.
+
+const COMMENT_TARGETS = { question: Question, answer: Answer };
+
+const adjustAnswerCount = (questionId, by) => {
+  return Question.updateOne({ _id: questionId }, { $inc: { answerCount: by } });
+};
+
+const adjustCommentCount = (targetType, targetId, by) => {
+  return COMMENT_TARGETS[targetType].updateOne({ _id: targetId }, { $inc: { commentCount: by } });
+};
+
+// Set `field` on every document of Model to the count in `totals` ([{ _id, count }]).
+// Returns how many documents had drifted.
+const applyCounts = async (Model, field, totals) => {
+  const expected = new Map(totals.map(total => [total._id.toString(), total.count]));
+  const operations = [];
+
+  const cursor = Model.find().select(field).lean().cursor();
+  for await (const doc of cursor) {
+    const count = expected.get(doc._id.toString()) || 0;
+    if (doc[field] !== count) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: count } } } });
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Recompute every counter from the Answer and Comment collections.
+// Returns the number of counters corrected, per counter.
+const recountPostCounters = async () => {
+  const answerTotals = await Answer.aggregate([
+    { $group: { _id: '$questionId', count: { $sum: 1 } } }
+  ]);
+
+  const commentTotals = (targetType) => Comment.aggregate([
+    { $match: { targetType } },
+    { $group: { _id: '$targetId', count: { $sum: 1 } } }
+  ]);
+
+  return {
+    questionAnswers: await applyCounts(Question, 'answerCount', answerTotals),
+    questionComments: await applyCounts(Question, 'commentCount', await commentTotals('question')),
+    answerComments: await applyCounts(Answer, 'commentCount', await commentTotals('answer'))
+  };
+};
+
+module.exports = { adjustAnswerCount, adjustCommentCount, recountPostCounters };
@@ -0,0 +1,76 @@
+// Bodies can be up to 30,000 characters, so a diff could need a table of
+// hundreds of millions of cells. Past this many (after trimming the lines both
+// sides share at the start and end) the diff is skipped.
+const MAX_DIFF_CELLS = 2000000;
+
+// Line-level diff between two strings using a longest common subsequence table.
+// Returns [{ type: 'equal' | 'added' | 'removed', line }], or null when the
+// changed part is too large to diff (see MAX_DIFF_CELLS).
+const diffLines = (before = '', after = '') => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // Unchanged lines at the start and end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const rows = endA - start;
+  const columns = endB - start;
+
+  if ((rows + 1) * (columns + 1) > MAX_DIFF_CELLS) {
+    return null;
+  }
+
+  // lcs[i * width + j] = length of the LCS of a[start + i..endA] and b[start + j..endB]
+  const width = columns + 1;
+  const lcs = new Int32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < columns) {
+    if (a[start + i] === b[start + j]) {
+      changes.push({ type: 'equal', line: a[start + i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      changes.push({ type: 'removed', line: a[start + i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[start + j] });
+      j++;
+    }
+  }
+
+  while (i < rows) changes.push({ type: 'removed', line: a[start + i++] });
+  while (j < columns) changes.push({ type: 'added', line: b[start + j++] });
+
+  for (const line of a.slice(endA)) changes.push({ type: 'equal', line });
+
+  return changes;
+};
+
+// Set difference between two tag lists
+const diffTags = (before = [], after = []) => {
+  return {
+    added: after.filter(tag => !before.includes(tag)),
+    removed: before.filter(tag => !after.includes(tag))
+  };
+};
+
+module.exports = { MAX_DIFF_CELLS, diffLines, diffTags };
@@ -0,0 +1,170 @@
+const { logger, loggedUrl } = require('./logger');
+
+// Application errors. Throw these (or pass them to next()) anywhere in a
+// request and the error middleware turns them into a JSON response:
+//   { error: 'Question not found', code: 'NOT_FOUND', requestId: '...' }
+// `error` stays a human-readable message; `code` is stable for clients to switch on.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// `fields` lists every invalid field: [{ in, field, message }]
+class ValidationError extends AppError {
+  constructor(fields = [], message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_FAILED' });
+    this.fields = fields;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized', { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// `retryAfter` is in seconds and is sent back as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', { code = 'RATE_LIMITED', retryAfter, details } = {}) {
+    super(message, { status: 429, code, details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError
+};
+
+// Typed error for a status code, for services that pick the status at the throw site
+const httpError = (status, message) => {
+  const ErrorType = ERRORS_BY_STATUS[status];
+  return ErrorType ? new ErrorType(message) : new AppError(message, { status });
+};
+
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+// Map anything thrown in a request to an AppError
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // Mongoose: malformed ObjectId or value of the wrong type
+  if (error.name === 'CastError') {
+    return new BadRequestError(`Invalid ${error.path}`, { code: 'INVALID_ID' });
+  }
+
+  // Mongoose: schema validation failed on save
+  if (error.name === 'ValidationError' && error.errors) {
+    return new ValidationError(Object.values(error.errors).map(fieldError => ({
+      in: 'body',
+      field: fieldError.path,
+      message: fieldError.message
+    })));
+  }
+
+  // Mongo: unique index violation
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    return new ConflictError(field ? `${field} already exists` : 'Duplicate value', { code: 'DUPLICATE' });
+  }
+
+  // express.json(): unparseable or oversized body
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // Plain errors that still carry an HTTP status
+  if (error.status >= 400 && error.status < 500) {
+    return httpError(error.status, error.message);
+  }
+
+  return null;
+};
+
+// Unmatched routes
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Global error middleware - must be registered after every route.
+// Unexpected errors are logged with their stack and answered with a generic
+// message; the real message and stack are only exposed in development.
+// Express recognizes error middleware by its four arguments, so `next` stays.
+const errorHandler = (error, req, res, next) => {
+  const known = normalizeError(error);
+  const appError = known || new AppError('Internal server error');
+
+  if (!known || appError.status >= 500) {
+    logger.error(`${req.method} ${loggedUrl(req)} failed:`, error.stack || error);
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  const body = {
+    error: appError.message,
+    code: appError.code,
+    requestId: req.id
+  };
+
+  if (appError.retryAfter) res.set('Retry-After', String(appError.retryAfter));
+  if (appError.fields) body.fields = appError.fields;
+  if (appError.details !== undefined) body.details = appError.details;
+
+  if (isDevelopment() && !known) {
+    body.error = error.message || body.error;
+    body.stack = error.stack;
+  }
+
+  res.status(appError.status).json(body);
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,77 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const { sortKeys, cursorAfter, cursorFilter } = require('./pagination');
+
+const MAX_FEED_LIMIT = 50;
+
+// Questions and answers are merged into one list, so both use the same sort
+const FEED_SORT = { createdAt: -1, _id: -1 };
+
+// Questions and answers from followed users plus questions in watched tags,
+// newest first. Returns a page (see utils/pagination.js) - cursor only, no page numbers.
+const buildFeed = async ({ user, cursor, limit = 20 }) => {
+  limit = Math.min(Math.max(Number(limit) || 20, 1), MAX_FEED_LIMIT);
+  const olderThan = cursor ? cursorFilter(cursor, FEED_SORT) : {};
+  const following = user.following || [];
+  const watchedTags = user.watchedTags || [];
+
+  const questionSources = [];
+  if (following.length > 0) questionSources.push({ asker: { $in: following } });
+  if (watchedTags.length > 0) questionSources.push({ tags: { $in: watchedTags } });
+
+  const questionFilter = { $and: [{ $or: questionSources }, { isHidden: { $ne: true } }] };
+  const answerFilter = {
+    $and: [{ answerer: { $in: following } }, { isHidden: { $ne: true } }, { questionHidden: { $ne: true } }]
+  };
+
+  const questions = questionSources.length === 0 ? [] : await Question.find({
+    $and: [questionFilter, olderThan]
+  })
+    .sort(FEED_SORT)
+    .limit(limit + 1)
+    .populate('asker', 'username reputation role');
+
+  const answers = following.length === 0 ? [] : await Answer.find({
+    $and: [answerFilter, olderThan]
+  })
+    .sort(FEED_SORT)
+    .limit(limit + 1)
+    .populate('answerer', 'username reputation role')
+    .populate('questionId', 'title tags');
+
+  const followingIds = following.map(id => id.toString());
+
+  const merged = [
+    ...questions.map(question => ({
+      type: 'question',
+      reason: question.asker && followingIds.includes(question.asker._id.toString()) ? 'following' : 'tag',
+      createdAt: question.createdAt,
+      _id: question._id,
+      question
+    })),
+    ...answers.map(answer => ({
+      type: 'answer',
+      reason: 'following',
+      createdAt: answer.createdAt,
+      _id: answer._id,
+      answer
+    }))
+  ].sort((a, b) => (b.createdAt - a.createdAt) || (b._id.toString() < a._id.toString() ? -1 : 1));
+
+  const hasMore = merged.length > limit;
+  const items = merged.slice(0, limit);
+
+  const total = (questionSources.length === 0 ? 0 : await Question.countDocuments(questionFilter)) +
+    (following.length === 0 ? 0 : await Answer.countDocuments(answerFilter));
+
+  return {
+    items,
+    total,
+    page: null,
+    limit,
+    hasMore,
+    nextCursor: hasMore ? cursorAfter(items[items.length - 1], sortKeys(FEED_SORT)) : null
+  };
+};
+
+module.exports = { buildFeed };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Request-scoped context, so log lines written anywhere during a request
+// (routes, utils, background work it starts) carry its request ID
+const requestContext = new AsyncLocalStorage();
+
+// Incoming IDs (e.g. from a proxy) are reused only if they look sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+const currentRequestId = () => {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+};
+
+const write = (method, args) => {
+  const requestId = currentRequestId();
+  const prefix = `${new Date().toISOString()}${requestId ? ` [${requestId}]` : ''}`;
+  console[method](prefix, ...args);
+};
+
+// Query parameters that carry credentials (SSE streams take `?token=<JWT>`)
+const SECRET_PARAMS = ['token'];
+
+// The request URL for log lines, with credential parameters redacted
+const loggedUrl = (req) => {
+  const [path, search] = req.originalUrl.split('?');
+  if (!search) return path;
+
+  const query = new URLSearchParams(search);
+  for (const name of SECRET_PARAMS) {
+    if (query.has(name)) query.set(name, 'REDACTED');
+  }
+  return `${path}?${query.toString()}`;
+};
+
+// Tests only want warnings and errors
+const quiet = process.env.NODE_ENV === 'test';
+
+const logger = {
+  info: (...args) => {
+    if (!quiet) write('log', args);
+  },
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args)
+};
+
+// Assigns every request an ID (`req.id`), echoes it in the X-Request-Id header
+// and logs one line per request when the response finishes
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    requestContext.run({ requestId: id }, () => {
+      logger.info(`${req.method} ${loggedUrl(req)} ${res.statusCode} ${ms.toFixed(1)}ms`);
+    });
+  });
+
+  requestContext.run({ requestId: id }, next);
+};
+
+module.exports = { logger, loggedUrl, requestId, currentRequestId };
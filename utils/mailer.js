@@ -0,0 +1,81 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Transports deliver a message `{ to, subject, text, html? }`. Pick one with
+// MAIL_TRANSPORT ('console', 'file' or 'memory'), or plug in your own with
+// setTransport() - anything with an async `send(message)` method works.
+
+// Prints emails to the server log (default)
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+  }
+};
+
+// Writes each email to a JSON file in MAIL_DIR so it can be opened later
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'devflow-mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+};
+
+// Keeps emails in memory (`outbox`) - for tests
+const outbox = [];
+const memoryTransport = {
+  name: 'memory',
+  send: async (message) => {
+    outbox.push({ ...message, sentAt: new Date() });
+  }
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  memory: memoryTransport
+};
+
+// These never reach the recipient, and the console one would print reset
+// links to the server log - sendMail refuses them in production
+const DEV_TRANSPORTS = ['console', 'memory'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+let transport = TRANSPORTS[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+if (isProduction() && DEV_TRANSPORTS.includes(transport.name)) {
+  logger.warn(`Mail transport '${transport.name}' can't send email in production - set MAIL_TRANSPORT or call setTransport()`);
+}
+
+const setTransport = (nextTransport) => {
+  const candidate = typeof nextTransport === 'string' ? TRANSPORTS[nextTransport] : nextTransport;
+
+  if (!candidate || typeof candidate.send !== 'function') {
+    throw new Error('Mail transport must have a send(message) method');
+  }
+
+  transport = candidate;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (isProduction() && DEV_TRANSPORTS.includes(transport.name)) {
+    throw new Error(`Mail transport '${transport.name}' can't be used in production`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'DevFlow <no-reply@devflow.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, outbox };
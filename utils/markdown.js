@@ -0,0 +1,179 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Posts keep their markdown source in `body`. Whenever it changes, the
+// schemas' pre('validate') hooks store what is rendered from it here:
+// sanitized `bodyHtml`, the fenced `codeBlocks`, and for questions `excerpt`.
+
+// Raw HTML in a post is shown as text, never passed through
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+// @username outside code and links, not part of an email address. Usernames
+// can hold dots and dashes but a mention doesn't end with one ("@sarah_dev.").
+const MENTION_PATTERN = /(?<![\w@.-])@(\w(?:[\w.-]*\w)?)/g;
+
+// Finds mentions in text tokens. With `env.mentionsFound` (a Set) it collects
+// the usernames; with `env.mentionLinks` (Map of username -> user id) it turns
+// those mentions into links to the user.
+const mentionRule = (state) => {
+  const { mentionsFound, mentionLinks } = state.env;
+  if (!mentionsFound && !mentionLinks) return;
+
+  const textToken = (content) => {
+    const token = new state.Token('text', '', 0);
+    token.content = content;
+    return token;
+  };
+
+  for (const blockToken of state.tokens) {
+    if (blockToken.type !== 'inline') continue;
+
+    let linkDepth = 0;
+    blockToken.children = blockToken.children.flatMap((child) => {
+      if (child.type === 'link_open') linkDepth++;
+      if (child.type === 'link_close') linkDepth--;
+      if (child.type !== 'text' || linkDepth > 0) return [child];
+
+      const tokens = [];
+      let last = 0;
+
+      for (const match of child.content.matchAll(MENTION_PATTERN)) {
+        const username = match[1];
+        if (mentionsFound) mentionsFound.add(username);
+        if (!mentionLinks || !mentionLinks.has(username)) continue;
+
+        const at = match.index;
+        if (at > last) tokens.push(textToken(child.content.slice(last, at)));
+
+        const open = new state.Token('link_open', 'a', 1);
+        open.attrs = [['href', `/users/${mentionLinks.get(username)}`], ['class', 'mention']];
+        tokens.push(open, textToken(`@${username}`), new state.Token('link_close', 'a', -1));
+
+        last = at + username.length + 1;
+      }
+
+      if (last === 0) return [child];
+      if (last < child.content.length) tokens.push(textToken(child.content.slice(last)));
+      return tokens;
+    });
+  }
+};
+
+// After text_join, so usernames aren't split at "_" or "."
+markdown.core.ruler.push('mention', mentionRule);
+
+// Characters of plain text in a question's excerpt
+const EXCERPT_LENGTH = 200;
+
+// Question lists show `excerpt` and leave the rendered body out
+const LIST_PROJECTION = { bodyHtml: 0, codeBlocks: 0 };
+
+const alignment = { 'text-align': [/^(left|right|center)$/] };
+
+// Only what markdown produces survives, even if the renderer lets something slip
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'ul', 'ol', 'li',
+    'strong', 'em', 's', 'code', 'pre', 'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'class'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: { code: ['language-*'], a: ['mention'] },
+  allowedStyles: { th: alignment, td: alignment },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+const sanitize = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+// First word of a fence's info string ("js title=app.js" -> "js"), or null
+const fenceLanguage = (info) => {
+  const [name] = info.trim().split(/\s+/);
+  return /^[\w#+.-]{1,30}$/.test(name) ? name.toLowerCase() : null;
+};
+
+// Plain text of everything except code blocks and images
+const plainText = (tokens) => {
+  const text = tokens
+    .filter(token => token.type === 'inline')
+    .map(token => token.children.map((child) => {
+      if (child.type === 'text' || child.type === 'code_inline') return child.content;
+      if (child.type === 'softbreak' || child.type === 'hardbreak') return ' ';
+      return '';
+    }).join(''))
+    .join(' ');
+
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+// Shorten to `length` characters, at a word boundary when there is one close by
+const truncate = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text;
+
+  let cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace > length * 0.6) cut = cut.slice(0, lastSpace);
+
+  return `${cut.trimEnd()}…`;
+};
+
+// `mentions` ([{ user, username }], see utils/mentions.js) are rendered as links
+const mentionEnv = (mentions = []) => ({
+  mentionLinks: new Map(mentions.map(mention => [mention.username, mention.user.toString()]))
+});
+
+// Questions and answers: block markdown.
+// Returns { bodyHtml, codeBlocks: [{ language, code }] }
+const renderPost = (source = '', { mentions } = {}) => {
+  const tokens = markdown.parse(source, mentionEnv(mentions));
+
+  // Render the same language the code block lists (as class="language-<name>")
+  for (const token of tokens) {
+    if (token.type === 'fence') token.info = fenceLanguage(token.info) || '';
+  }
+
+  const codeBlocks = tokens
+    .filter(token => token.type === 'fence' || token.type === 'code_block')
+    .map(token => ({ language: token.info || null, code: token.content }));
+
+  return {
+    bodyHtml: sanitize(markdown.renderer.render(tokens, markdown.options, {})),
+    codeBlocks
+  };
+};
+
+// Plain-text excerpt of a post for list views
+const excerptOf = (source = '', length = EXCERPT_LENGTH) => {
+  return truncate(plainText(markdown.parse(source, {})), length);
+};
+
+// Comments: inline markdown only (emphasis, code, links, mentions)
+const renderComment = (source = '', { mentions } = {}) => {
+  return { bodyHtml: sanitize(markdown.renderInline(source, mentionEnv(mentions))) };
+};
+
+// Usernames mentioned in `source`, in order of first mention
+const findMentions = (source = '') => {
+  const env = { mentionsFound: new Set() };
+  markdown.parse(source, env);
+  return [...env.mentionsFound];
+};
+
+module.exports = {
+  EXCERPT_LENGTH,
+  LIST_PROJECTION,
+  renderPost,
+  renderComment,
+  excerptOf,
+  findMentions
+};
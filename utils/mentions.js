@@ -0,0 +1,55 @@
+const User = require('../models/User');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const { findMentions } = require('./markdown');
+
+// Mentions looked up per post; any after these stay plain text
+const MAX_MENTIONS = 10;
+
+// @usernames in a post's markdown that belong to a user, as stored on the
+// post: [{ user, username }] in order of first mention
+const resolveMentions = async (source) => {
+  const usernames = findMentions(source).slice(0, MAX_MENTIONS);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select('username');
+  const ids = new Map(users.map(user => [user.username, user._id]));
+
+  return usernames
+    .filter(username => ids.has(username))
+    .map(username => ({ user: ids.get(username), username }));
+};
+
+// Mentions added by an edit - only these users are notified again
+const addedMentions = (mentions, previous = []) => {
+  const before = new Set(previous.map(mention => mention.user.toString()));
+  return mentions.filter(mention => !before.has(mention.user.toString()));
+};
+
+// Users who took part in a question: the asker, answerers and commenters.
+// Hidden posts don't count.
+const participantIds = async (question) => {
+  const visible = { isHidden: { $ne: true } };
+
+  const answers = await Answer.find({ questionId: question._id, ...visible }).select('answerer');
+  const commenters = await Comment.find({
+    $and: [
+      {
+        $or: [
+          { targetType: 'question', targetId: question._id },
+          { targetType: 'answer', targetId: { $in: answers.map(answer => answer._id) } }
+        ]
+      },
+      visible
+    ]
+  }).distinct('author');
+
+  return [question.asker, ...answers.map(answer => answer.answerer), ...commenters];
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  resolveMentions,
+  addedMentions,
+  participantIds
+};
@@ -0,0 +1,174 @@
+const Flag = require('../models/Flag');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const { endQuestionStreams } = require('./realtime');
+const { canViewPost } = require('./permissions');
+const { BadRequestError, NotFoundError, ConflictError } = require('./errors');
+
+const TARGET_MODELS = {
+  question: Question,
+  answer: Answer,
+  comment: Comment
+};
+
+const FLAG_REASONS = ['spam', 'offensive', 'duplicate', 'low_quality', 'other'];
+
+// Pending spam flags needed to hide a post automatically
+const SPAM_FLAG_THRESHOLD = Number(process.env.SPAM_FLAG_THRESHOLD) || 3;
+
+// Reasons that hide the post when a moderator approves the flag
+const HIDING_REASONS = ['spam', 'offensive', 'low_quality'];
+
+const authorOf = (targetType, target) => {
+  if (targetType === 'question') return target.asker;
+  if (targetType === 'answer') return target.answerer;
+  return target.author;
+};
+
+const setHidden = async (targetType, targetId, isHidden) => {
+  await TARGET_MODELS[targetType].updateOne({ _id: targetId }, { $set: { isHidden } });
+
+  if (targetType !== 'question') return;
+
+  // Answers carry their question's visibility so lists can filter on it directly
+  await Answer.updateMany({ questionId: targetId }, { $set: { questionHidden: isHidden } });
+
+  // Live updates are public, so nobody keeps watching a hidden question
+  if (isHidden) {
+    endQuestionStreams(targetId, 'question.hidden', { questionId: targetId });
+  }
+};
+
+// Whether `user` may see (and so comment on or answer) a question or answer.
+// An answer on a hidden question is hidden along with it.
+const canViewTarget = async (user, targetType, target) => {
+  if (targetType === 'question') return canViewPost(user, target, target.asker);
+  if (!canViewPost(user, target, target.answerer)) return false;
+  if (!target.questionHidden) return true;
+
+  const question = await Question.findById(target.questionId).select('asker isHidden');
+  return !question || canViewPost(user, question, question.asker);
+};
+
+// Copy every question's isHidden onto its answers (`questionHidden`). Only
+// needed once for data from before the flag existed. Returns the answers marked.
+const syncQuestionHidden = async () => {
+  await Answer.updateMany({ questionHidden: true }, { $set: { questionHidden: false } });
+
+  let marked = 0;
+  for await (const question of Question.find({ isHidden: true }).select('_id').cursor()) {
+    const result = await Answer.updateMany({ questionId: question._id }, { $set: { questionHidden: true } });
+    marked += result.modifiedCount;
+  }
+  return marked;
+};
+
+// Flag a post. Hides it automatically once it collects enough spam flags.
+// Returns { flag, autoHidden }
+const flagContent = async ({ userId, targetType, targetId, reason, note }) => {
+  const Model = TARGET_MODELS[targetType];
+
+  if (!Model) {
+    throw new BadRequestError('Invalid target type');
+  }
+
+  if (!FLAG_REASONS.includes(reason)) {
+    throw new BadRequestError(`Reason must be one of: ${FLAG_REASONS.join(', ')}`);
+  }
+
+  const target = await Model.findById(targetId);
+
+  if (!target) {
+    throw new NotFoundError(`${targetType} not found`);
+  }
+
+  if (authorOf(targetType, target).toString() === userId.toString()) {
+    throw new BadRequestError(`You cannot flag your own ${targetType}`);
+  }
+
+  let flag;
+  try {
+    flag = await Flag.create({
+      targetType,
+      targetId: target._id,
+      reporter: userId,
+      reason,
+      note,
+      history: [{ action: 'created', by: userId, note }]
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`You have already flagged this ${targetType}`);
+    }
+    throw error;
+  }
+
+  let autoHidden = false;
+
+  if (reason === 'spam' && !target.isHidden) {
+    const spamFlags = await Flag.countDocuments({
+      targetType,
+      targetId: target._id,
+      reason: 'spam',
+      status: 'pending'
+    });
+
+    if (spamFlags >= SPAM_FLAG_THRESHOLD) {
+      await setHidden(targetType, target._id, true);
+      await Flag.updateMany(
+        { targetType, targetId: target._id, status: 'pending' },
+        { $push: { history: { action: 'auto_hidden', note: `${spamFlags} spam flags` } } }
+      );
+      autoHidden = true;
+    }
+  }
+
+  return { flag, autoHidden };
+};
+
+// Approve or dismiss a flag. Every pending flag on the same post is resolved
+// with it. Approving a spam/offensive/low-quality flag hides the post;
+// dismissing restores a post that was hidden automatically.
+// Returns { flag, resolved, isHidden }
+const resolveFlag = async ({ flag, action, moderatorId, note }) => {
+  if (flag.status !== 'pending') {
+    throw new BadRequestError(`Flag has already been ${flag.status}`);
+  }
+
+  const status = action === 'approve' ? 'approved' : 'dismissed';
+  const filter = { targetType: flag.targetType, targetId: flag.targetId, status: 'pending' };
+  const wasAutoHidden = await Flag.exists({ ...filter, 'history.action': 'auto_hidden' }) !== null;
+
+  const result = await Flag.updateMany(filter, {
+    $set: { status, handledBy: moderatorId, handledAt: Date.now() },
+    $push: { history: { action: status, by: moderatorId, note } }
+  });
+
+  let isHidden;
+  if (status === 'approved' && HIDING_REASONS.includes(flag.reason)) {
+    isHidden = true;
+  } else if (status === 'dismissed' && wasAutoHidden) {
+    isHidden = false;
+  }
+
+  if (isHidden !== undefined) {
+    await setHidden(flag.targetType, flag.targetId, isHidden);
+  }
+
+  const updatedFlag = await Flag.findById(flag._id)
+    .populate('reporter', 'username')
+    .populate('handledBy', 'username role')
+    .populate('history.by', 'username role');
+
+  return { flag: updatedFlag, resolved: result.modifiedCount, isHidden };
+};
+
+module.exports = {
+  FLAG_REASONS,
+  SPAM_FLAG_THRESHOLD,
+  flagContent,
+  resolveFlag,
+  canViewTarget,
+  syncQuestionHidden
+};
@@ -0,0 +1,79 @@
+const Notification = require('../models/Notification');
+const { publishToUser } = require('./realtime');
+
+// Create a notification. Users are never notified about their own actions.
+const notify = async ({ recipient, actor, type, question, answer, comment, badge }) => {
+  if (!recipient || (actor && recipient.toString() === actor.toString())) return null;
+
+  const notification = await Notification.create({ recipient, actor, type, question, answer, comment, badge });
+
+  publishToUser(recipient, 'notification', {
+    notification,
+    unreadCount: await unreadCount(recipient)
+  });
+
+  return notification;
+};
+
+// Someone answered your question
+const notifyAnswer = ({ question, answer }) => {
+  return notify({
+    recipient: question.asker,
+    actor: answer.answerer,
+    type: 'answer',
+    question: question._id,
+    answer: answer._id
+  });
+};
+
+// Someone commented on your question or answer
+const notifyComment = ({ comment, target }) => {
+  const isQuestion = comment.targetType === 'question';
+
+  return notify({
+    recipient: isQuestion ? target.asker : target.answerer,
+    actor: comment.author,
+    type: 'comment',
+    question: isQuestion ? target._id : target.questionId,
+    answer: isQuestion ? undefined : target._id,
+    comment: comment._id
+  });
+};
+
+// The asker accepted your answer
+const notifyAccept = ({ question, answer }) => {
+  return notify({
+    recipient: answer.answerer,
+    actor: question.asker,
+    type: 'accept',
+    question: question._id,
+    answer: answer._id
+  });
+};
+
+// An expert verified your answer
+const notifyVerify = ({ answer, verifierId }) => {
+  return notify({
+    recipient: answer.answerer,
+    actor: verifierId,
+    type: 'verify',
+    question: answer.questionId,
+    answer: answer._id
+  });
+};
+
+// Someone @mentioned you in a question, answer or comment. `skip` lists users
+// the same post already notifies another way (e.g. the asker of an answered question).
+const notifyMentions = ({ mentions, actor, question, answer, comment, skip = [] }) => {
+  const skipped = new Set(skip.filter(Boolean).map(id => id.toString()));
+
+  return Promise.all(mentions
+    .filter(mention => !skipped.has(mention.user.toString()))
+    .map(mention => notify({ recipient: mention.user, actor, type: 'mention', question, answer, comment })));
+};
+
+const unreadCount = (userId) => {
+  return Notification.countDocuments({ recipient: userId, isRead: false });
+};
+
+module.exports = { notify, notifyAnswer, notifyComment, notifyAccept, notifyVerify, notifyMentions, unreadCount };
@@ -0,0 +1,400 @@
+// OpenAPI 3 specification, generated from the mounted routers.
+//
+// The route list, path parameters, query parameters and request bodies come
+// from the routers themselves (routes/index.js and each route's `validate()`
+// schema), and auth, capabilities and rate limits from its middleware. Data
+// schemas come from the Mongoose schemas. Only what code can't tell - the
+// summary and the response shape - is written by hand, in utils/apiDocs.js.
+const { protect, optionalAuth, protectStream } = require('./auth');
+
+const OBJECT_ID_PATTERN = '^[a-f\\d]{24}$';
+
+// Documented data types, built from their Mongoose schemas
+const MODEL_SCHEMAS = {
+  User: require('../schema/userSchema'),
+  Question: require('../schema/questionSchema'),
+  Answer: require('../schema/answerSchema'),
+  Comment: require('../schema/commentSchema'),
+  Vote: require('../schema/voteSchema'),
+  Revision: require('../schema/revisionSchema'),
+  Tag: require('../schema/tagSchema'),
+  Notification: require('../schema/notificationSchema'),
+  ReputationEvent: require('../schema/reputationEventSchema'),
+  Bounty: require('../schema/bountySchema'),
+  Flag: require('../schema/flagSchema'),
+  UserBadge: require('../schema/userBadgeSchema'),
+  Session: require('../schema/sessionSchema'),
+  RoleChange: require('../schema/roleChangeSchema')
+};
+
+// Never documented, even if a schema has them
+const HIDDEN_FIELDS = ['password', 'tokenHash', 'previousTokenHash', '__v'];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// '/api/questions' + '/:id' -> '/api/questions/{id}'
+const openApiPath = (mountPath, routePath) => {
+  const path = routePath === '/' ? mountPath : `${mountPath}${routePath}`;
+  return path.replace(/:(\w+)/g, '{$1}');
+};
+
+// Every route of every mounted router, in matching order. A route whose
+// method and path (ignoring parameter names) match an earlier one can never
+// be reached; it is returned with `shadowedBy` set.
+const listRoutes = (mounts = require('../routes').API_ROUTES) => {
+  const routes = [];
+  const seen = new Map();
+
+  for (const mount of mounts) {
+    for (const layer of mount.router.stack) {
+      if (!layer.route) continue;
+
+      for (const method of METHODS) {
+        if (!layer.route.methods[method]) continue;
+
+        const path = openApiPath(mount.path, layer.route.path);
+        const shape = `${method} ${path.replace(/\{\w+\}/g, '{}')}`;
+        const route = {
+          method,
+          path,
+          key: `${method.toUpperCase()} ${path}`,
+          tag: mount.tag,
+          handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+        };
+
+        if (seen.has(shape)) {
+          route.shadowedBy = seen.get(shape).key;
+        } else {
+          seen.set(shape, route);
+        }
+
+        routes.push(route);
+      }
+    }
+  }
+
+  return routes;
+};
+
+// utils/validation.js field rule -> JSON schema
+const ruleSchema = (rule) => {
+  const schema = {};
+
+  switch (rule.type) {
+    case 'string':
+      schema.type = 'string';
+      if (rule.min !== undefined) schema.minLength = rule.min;
+      if (rule.max !== undefined) schema.maxLength = rule.max;
+      if (rule.pattern) schema.pattern = rule.pattern.source;
+      break;
+    case 'int':
+      schema.type = 'integer';
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'objectId':
+      schema.type = 'string';
+      schema.pattern = OBJECT_ID_PATTERN;
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = ruleSchema(rule.items);
+      if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+      if (rule.csv) schema.description = 'A list, or a comma-separated string';
+      break;
+  }
+
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.default !== undefined) schema.default = rule.default;
+  return schema;
+};
+
+// Merged params/query/body rules of every validate() on the route
+const validationRules = (handlers) => {
+  const rules = { params: {}, query: {}, body: {} };
+
+  for (const handler of handlers) {
+    if (!handler.schema) continue;
+    for (const location of Object.keys(rules)) {
+      Object.assign(rules[location], handler.schema[location]);
+    }
+  }
+
+  return rules;
+};
+
+const bodySchema = (rules) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, ruleSchema(rule)])),
+  required: Object.keys(rules).filter(name => rules[name].required)
+});
+
+// Mongoose schema type -> JSON schema
+const pathSchema = (schemaType) => {
+  const { options } = schemaType;
+  let schema;
+
+  switch (schemaType.instance) {
+    case 'String':
+      schema = { type: 'string' };
+      if (Array.isArray(options.enum)) schema.enum = options.enum;
+      break;
+    case 'Number':
+      schema = { type: 'number' };
+      break;
+    case 'Boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'Date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'ObjectId':
+      schema = { type: 'string', pattern: OBJECT_ID_PATTERN };
+      if (options.ref) schema.description = `${options.ref} id (populated as a ${options.ref} on some routes)`;
+      break;
+    case 'Array':
+      schema = {
+        type: 'array',
+        items: schemaType.schema ? modelSchema(schemaType.schema) : pathSchema(schemaType.embeddedSchemaType)
+      };
+      break;
+    case 'Embedded':
+      schema = modelSchema(schemaType.schema);
+      break;
+    default:
+      schema = {};
+  }
+
+  return schema;
+};
+
+// Mongoose schema -> JSON schema. Fields hidden with `select: false` are left out.
+const modelSchema = (mongooseSchema) => {
+  const schema = { type: 'object', properties: {} };
+
+  for (const [path, schemaType] of Object.entries(mongooseSchema.paths)) {
+    if (HIDDEN_FIELDS.includes(path) || schemaType.options.select === false) continue;
+
+    // Nested objects ('a.b') become nested properties
+    const parts = path.split('.');
+    let target = schema;
+    for (const part of parts.slice(0, -1)) {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    }
+    target.properties[parts[parts.length - 1]] = pathSchema(schemaType);
+  }
+
+  return schema;
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// 'get', '/api/questions/{id}/read-all' -> 'getQuestionsByIdReadAll'
+const operationId = (method, path) => {
+  const words = path.replace(/^\/api/, '').split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    return param ? `By${capitalize(param[1])}` : segment.split(/\W+/).map(capitalize).join('');
+  });
+  return method + words.join('');
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// Build one operation from the route's middleware and its entry in utils/apiDocs.js
+const buildOperation = (route, doc) => {
+  const rules = validationRules(route.handlers);
+  const capability = route.handlers.map(handler => handler.capability).find(Boolean);
+  const limits = route.handlers.map(handler => handler.rateLimit).filter(Boolean);
+  const postingLimit = route.handlers.map(handler => handler.postingLimit).find(Boolean);
+  const notes = [];
+
+  const operation = {
+    tags: [route.tag],
+    summary: doc.summary,
+    operationId: operationId(route.method, route.path),
+    parameters: []
+  };
+
+  // Path parameters are always documented, validated or not
+  for (const [, name] of route.path.matchAll(/\{(\w+)\}/g)) {
+    operation.parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: rules.params[name] ? ruleSchema(rules.params[name]) : { type: 'string' }
+    });
+  }
+
+  for (const [name, rule] of Object.entries(rules.query)) {
+    operation.parameters.push({ name, in: 'query', required: Boolean(rule.required), schema: ruleSchema(rule) });
+  }
+
+  if (Object.keys(rules.body).length > 0) {
+    operation.requestBody = {
+      required: Object.values(rules.body).some(rule => rule.required),
+      content: { 'application/json': { schema: bodySchema(rules.body) } }
+    };
+  }
+
+  if (route.handlers.includes(protect)) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (route.handlers.includes(protectStream)) {
+    operation.security = [{ bearerAuth: [] }, { queryToken: [] }];
+  } else if (route.handlers.includes(optionalAuth)) {
+    operation.security = [{ bearerAuth: [] }, {}];
+    notes.push('Authentication is optional; signed-in users may see more.');
+  } else {
+    operation.security = [];
+  }
+
+  if (capability) {
+    operation['x-capability'] = capability;
+    notes.push(`Requires the \`${capability}\` capability.`);
+  }
+
+  for (const limit of limits) {
+    notes.push(`Rate limit \`${limit.policy}\`: ${limit.max} requests per ${limit.windowMs / 1000}s per ${limit.key}.`);
+  }
+  if (limits.length > 0) operation['x-rate-limit'] = limits.map(limit => limit.policy);
+
+  if (postingLimit) {
+    notes.push(`New users have an hourly ${postingLimit} limit.`);
+  }
+
+  const description = [doc.description, ...notes].filter(Boolean).join('\n\n');
+  if (description) operation.description = description;
+
+  const status = String(doc.status || 200);
+  operation.responses = {
+    [status]: doc.stream
+      ? { description: 'Server-Sent Events stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      : { description: doc.responseDescription || (status === '201' ? 'Created' : 'OK'), content: { 'application/json': { schema: doc.response || { type: 'object' } } } }
+  };
+
+  // Paginated lists (utils/pagination.js) accept a cursor and send Link headers
+  if (rules.query.cursor) {
+    operation.responses[status].headers = {
+      Link: { description: 'RFC 8288 links to the next (by cursor), previous, first and last pages', schema: { type: 'string' } }
+    };
+  }
+
+  if (Object.keys(rules.params).length + Object.keys(rules.query).length + Object.keys(rules.body).length > 0) {
+    operation.responses[400] = errorResponse('Invalid request', 'ValidationError');
+  }
+  if (operation.security.length > 0 && !operation.security.some(requirement => Object.keys(requirement).length === 0)) {
+    operation.responses[401] = errorResponse('Not authenticated');
+  }
+  if (capability) {
+    operation.responses[403] = errorResponse('Missing capability');
+  }
+  for (const code of doc.errors || []) {
+    operation.responses[code] = operation.responses[code] || errorResponse(ERROR_DESCRIPTIONS[code]);
+  }
+  if (route.path.includes('{') && !operation.responses[404]) {
+    operation.responses[404] = errorResponse('Not found');
+  }
+  if (limits.length > 0 || postingLimit) {
+    operation.responses[429] = errorResponse('Rate limited');
+  }
+
+  return operation;
+};
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Bad request',
+  401: 'Not authenticated',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflict',
+  429: 'Rate limited'
+};
+
+const baseComponents = () => ({
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    queryToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Access token, for EventSource clients that cannot send headers' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string' },
+        requestId: { type: 'string' }
+      },
+      required: ['error', 'code']
+    },
+    ValidationError: {
+      allOf: [
+        { $ref: '#/components/schemas/Error' },
+        {
+          type: 'object',
+          properties: {
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  in: { type: 'string', enum: ['params', 'query', 'body'] },
+                  field: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      ]
+    },
+    ...Object.fromEntries(Object.entries(MODEL_SCHEMAS).map(([name, schema]) => [name, modelSchema(schema)]))
+  }
+});
+
+// Routes with no entry in utils/apiDocs.js, and entries with no route.
+// Shadowed routes are unreachable, so they are neither documented nor required.
+const checkSpec = (routes = listRoutes(), docs = require('./apiDocs').OPERATIONS) => {
+  const reachable = routes.filter(route => !route.shadowedBy);
+  const keys = new Set(reachable.map(route => route.key));
+
+  return {
+    missing: reachable.filter(route => !docs[route.key]).map(route => route.key),
+    stale: Object.keys(docs).filter(key => !keys.has(key)),
+    shadowed: routes.filter(route => route.shadowedBy).map(route => ({ route: route.key, shadowedBy: route.shadowedBy }))
+  };
+};
+
+// The full OpenAPI document. Throws if a route is missing from utils/apiDocs.js.
+const buildSpec = ({ routes = listRoutes(), docs = require('./apiDocs').OPERATIONS } = {}) => {
+  const { missing } = checkSpec(routes, docs);
+  if (missing.length > 0) {
+    throw new Error(`Routes missing from utils/apiDocs.js: ${missing.join(', ')}`);
+  }
+
+  const paths = {};
+  for (const route of routes) {
+    if (route.shadowedBy) continue;
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route, docs[route.key]);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'DevFlow API',
+      version: require('../package.json').version,
+      description: 'Q&A platform API. Errors always have the shape `{ error, code, requestId }`.'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: baseComponents()
+  };
+};
+
+module.exports = { listRoutes, checkSpec, buildSpec, modelSchema };
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+// List endpoints page two ways:
+//   ?page=3&limit=20       - offset paging, for jumping to a page
+//   ?cursor=<nextCursor>   - keyset paging, continues after the last item seen,
+//                            so pages don't shift while new items arrive
+// Both respond with the same envelope (see pageInfo) and a Link header.
+//
+// Cursors are opaque to clients: base64url of EJSON { s: <sort>, v: [<sort values>] }.
+// A cursor only works with the sort it was issued for.
+
+const invalidCursor = () => new BadRequestError('Invalid cursor', { code: 'INVALID_CURSOR' });
+
+// [[field, direction], ...] ending with _id, so every position in the list is unique
+const sortKeys = (sort) => {
+  const keys = Object.entries(sort).map(([field, direction]) => [field, direction < 0 ? -1 : 1]);
+
+  if (!keys.some(([field]) => field === '_id')) {
+    keys.push(['_id', keys.length > 0 ? keys[keys.length - 1][1] : -1]);
+  }
+  return keys;
+};
+
+const sortSignature = (keys) => keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const encodeCursor = (payload) => Buffer.from(EJSON.stringify(payload)).toString('base64url');
+
+// Sort values end up in equality filters, so anything else (e.g. an operator
+// object like { $ne: null }) would change the query
+const isCursorValue = (value) => {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value)
+    || value instanceof Date || value instanceof ObjectId;
+};
+
+// Decode a cursor issued for `signature`; throws INVALID_CURSOR otherwise
+const decodeCursor = (cursor, signature) => {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!payload || payload.s !== signature) {
+    throw invalidCursor();
+  }
+  if (payload.v !== undefined && !(Array.isArray(payload.v) && payload.v.every(isCursorValue))) {
+    throw invalidCursor();
+  }
+  return payload;
+};
+
+const valueAt = (item, field) => {
+  const value = typeof item.get === 'function' ? item.get(field) : item[field];
+  return value === undefined ? null : value;
+};
+
+// Cursor pointing just after `item` in a list sorted by `keys`
+const cursorAfter = (item, keys) => {
+  return encodeCursor({ s: sortSignature(keys), v: keys.map(([field]) => valueAt(item, field)) });
+};
+
+// Items that sort strictly after `field = value`. Missing values sort lowest,
+// so they come last in descending order and first in ascending order.
+const beyond = (field, direction, value) => {
+  if (field === '_id') {
+    return { _id: direction < 0 ? { $lt: value } : { $gt: value } };
+  }
+  if (direction < 0) {
+    return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  }
+  return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+};
+
+// Filter for the items after a cursor's position: tied on every earlier sort
+// key and beyond it on the next one
+const afterPosition = (keys, values) => {
+  const branches = [];
+
+  keys.forEach(([field, direction], index) => {
+    const next = beyond(field, direction, values[index]);
+    if (!next) return;
+
+    const tied = keys.slice(0, index).map(([tiedField], tiedIndex) => ({ [tiedField]: values[tiedIndex] }));
+    branches.push(tied.length > 0 ? { $and: [...tied, next] } : next);
+  });
+
+  return { $or: branches };
+};
+
+// Decode a keyset cursor for `sort`; resolves to the filter for the items after it
+const cursorFilter = (cursor, sort) => {
+  const keys = sortKeys(sort);
+  const { v: values } = decodeCursor(cursor, sortSignature(keys));
+
+  if (!Array.isArray(values) || values.length !== keys.length) {
+    throw invalidCursor();
+  }
+  return afterPosition(keys, values);
+};
+
+// One page of `model.find(filter)` sorted by `sort`, from `cursor` if given,
+// otherwise from `page`. `query` can add populate/select/lean to the find
+// (keep the sort fields selected). Resolves to
+// { items, total, page, limit, hasMore, nextCursor } - page is null for cursor requests.
+const paginate = async (model, { filter = {}, sort, page = 1, limit = 20, cursor, query = found => found }) => {
+  const keys = sortKeys(sort);
+  const conditions = cursor ? { $and: [filter, cursorFilter(cursor, sort)] } : filter;
+
+  const found = await query(
+    model.find(conditions)
+      .sort(Object.fromEntries(keys))
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
+  );
+  const total = await model.countDocuments(filter);
+
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+
+  return {
+    items,
+    total,
+    page: cursor ? null : page,
+    limit,
+    hasMore,
+    nextCursor: hasMore ? cursorAfter(items[items.length - 1], keys) : null
+  };
+};
+
+// Ranked lists (search relevance) have no sort key to continue from, so their
+// cursors hold an offset instead: { s: <ranking>, o: <offset> }.
+// Resolves the request to { skip, page }.
+const offsetWindow = ({ ranking, page = 1, limit, cursor }) => {
+  if (!cursor) return { skip: (page - 1) * limit, page };
+
+  const { o: offset } = decodeCursor(cursor, ranking);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw invalidCursor();
+  }
+  return { skip: offset, page: null };
+};
+
+// Page result for an offset window, same shape as paginate()
+const offsetPage = ({ ranking, items, total, skip, page, limit }) => {
+  const hasMore = skip + items.length < total;
+
+  return {
+    items,
+    total,
+    page,
+    limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ s: ranking, o: skip + items.length }) : null
+  };
+};
+
+// The envelope fields every list response carries
+const pageInfo = ({ total, page = null, limit, hasMore, nextCursor }) => ({
+  total,
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  limit,
+  hasMore,
+  nextCursor
+});
+
+// RFC 8288 Link header: next (by cursor) and, for page requests, first/prev/last
+const linkHeader = (req, result) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  const original = new URL(req.originalUrl, 'http://localhost').searchParams;
+
+  const link = (rel, params) => {
+    const query = new URLSearchParams(original);
+    query.delete('page');
+    query.delete('cursor');
+    for (const [name, value] of Object.entries(params)) query.set(name, value);
+
+    const search = query.toString();
+    return `<${base}${search ? `?${search}` : ''}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  const totalPages = Math.ceil(result.total / result.limit);
+
+  if (result.nextCursor) links.push(link('next', { cursor: result.nextCursor }));
+  if (result.page === null) {
+    links.push(link('first', {}));
+  } else {
+    if (result.page > 1) links.push(link('prev', { page: Math.min(result.page - 1, Math.max(totalPages, 1)) }));
+    links.push(link('first', { page: 1 }));
+    if (totalPages > 0) links.push(link('last', { page: totalPages }));
+  }
+
+  return links.join(', ');
+};
+
+// Respond with `body` (which holds the items under its own key) plus the envelope
+const sendPage = (req, res, result, body) => {
+  res.set('Link', linkHeader(req, result));
+  res.json({ ...body, ...pageInfo(result) });
+};
+
+module.exports = {
+  sortKeys,
+  cursorAfter,
+  cursorFilter,
+  paginate,
+  offsetWindow,
+  offsetPage,
+  sendPage
+};
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+// Every capability, with the phrase used in "You don't have permission to ..." errors
+const CAPABILITIES = {
+  'question.edit.any': 'edit other users\' questions',
+  'question.delete.any': 'delete other users\' questions',
+  'question.pin': 'pin questions',
+  'question.pin.any': 'pin other users\' questions',
+  'question.lock': 'lock questions',
+  'question.close': 'vote to close or reopen questions',
+  'question.close.binding': 'close or reopen questions without other votes',
+  'answer.delete.any': 'delete other users\' answers',
+  'answer.verify': 'verify answers',
+  'answer.verify.own': 'verify your own answers',
+  'answer.unverify.any': 'unverify answers verified by someone else',
+  'comment.delete.any': 'delete other users\' comments',
+  'revision.rollback.any': 'roll back other users\' posts',
+  'content.view_hidden': 'view hidden content',
+  'post.unlimited': 'post without new-user posting limits',
+  'flag.review': 'review flags',
+  'tag.edit': 'edit tag wikis',
+  'tag.synonyms': 'manage tag synonyms',
+  'vote.recount': 'recount votes',
+  'user.role.assign': 'change user roles'
+};
+
+const ROLES = ['user', 'expert', 'admin'];
+
+// Capabilities each role has
+const ROLE_CAPABILITIES = {
+  user: [],
+  expert: [
+    'question.pin',
+    'question.close',
+    'answer.verify',
+    'content.view_hidden',
+    'post.unlimited',
+    'flag.review',
+    'tag.edit'
+  ],
+  admin: Object.keys(CAPABILITIES)
+};
+
+// Capabilities any user earns at this much reputation, whatever their role
+const REPUTATION_PRIVILEGES = {
+  'question.close': 500,
+  'tag.edit': 2000
+};
+
+const hasCapability = (user, capability) => {
+  if (!user) return false;
+
+  if ((ROLE_CAPABILITIES[user.role] || []).includes(capability)) return true;
+
+  const threshold = REPUTATION_PRIVILEGES[capability];
+  return threshold !== undefined && user.reputation >= threshold;
+};
+
+// Everything a user can do, e.g. for the frontend to decide which buttons to show
+const capabilitiesFor = (user) => {
+  return Object.keys(CAPABILITIES).filter(capability => hasCapability(user, capability));
+};
+
+// The post's owner, or anyone holding the capability
+const isOwnerOr = (user, ownerId, capability) => {
+  if (!user) return false;
+  return (ownerId && ownerId.toString() === user._id.toString()) || hasCapability(user, capability);
+};
+
+// Hidden (moderated) posts are only shown to their author and to `content.view_hidden`
+const canViewPost = (user, post, ownerId) => {
+  return !post.isHidden || isOwnerOr(user, ownerId, 'content.view_hidden');
+};
+
+const permissionMessage = (capability) => {
+  const threshold = REPUTATION_PRIVILEGES[capability];
+
+  if (threshold !== undefined) {
+    return `You need ${threshold} reputation to ${CAPABILITIES[capability]}`;
+  }
+  return `You don't have permission to ${CAPABILITIES[capability]}`;
+};
+
+// Middleware - loads the logged-in user once as `req.user` (null for anonymous
+// requests). Use after `protect` or `optionalAuth`.
+const loadUser = async (req, res, next) => {
+  try {
+    if (req.user !== undefined) return next();
+
+    if (!req.userId) {
+      req.user = null;
+      return next();
+    }
+
+    req.user = await User.findById(req.userId).select('-password');
+
+    if (!req.user) {
+      return next(new UnauthorizedError('Not authorized, user not found'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware - rejects the request with 403 unless the user has the capability.
+// Use after `protect`; loads `req.user` if needed.
+const requireCapability = (capability) => {
+  if (!CAPABILITIES[capability]) {
+    throw new Error(`Unknown capability: ${capability}`);
+  }
+
+  const middleware = (req, res, next) => {
+    loadUser(req, res, (error) => {
+      if (error) return next(error);
+
+      if (!hasCapability(req.user, capability)) {
+        return next(new ForbiddenError(permissionMessage(capability)));
+      }
+      next();
+    });
+  };
+
+  // Read by utils/openapi.js to document the route
+  middleware.capability = capability;
+  return middleware;
+};
+
+module.exports = {
+  CAPABILITIES,
+  ROLES,
+  ROLE_CAPABILITIES,
+  REPUTATION_PRIVILEGES,
+  hasCapability,
+  capabilitiesFor,
+  isOwnerOr,
+  canViewPost,
+  permissionMessage,
+  loadUser,
+  requireCapability
+};
@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const { hasCapability, loadUser } = require('./permissions');
+const { TooManyRequestsError } = require('./errors');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Request budgets per route group. `key` picks the bucket: 'ip', or 'user'
+// for routes behind `protect` (falls back to the IP for anonymous requests).
+const POLICIES = {
+  api: { windowMs: 15 * MINUTE, max: 900, key: 'ip' },       // every /api request
+  auth: { windowMs: 15 * MINUTE, max: 30, key: 'ip' },       // refresh, reset-password, verify-email
+  login: { windowMs: 15 * MINUTE, max: 10, key: 'ip' },
+  signup: { windowMs: 60 * MINUTE, max: 5, key: 'ip' },
+  email: { windowMs: 60 * MINUTE, max: 5, key: 'ip' },       // endpoints that send email
+  post: { windowMs: MINUTE, max: 5, key: 'user' },           // questions, answers, comments
+  vote: { windowMs: MINUTE, max: 30, key: 'user' },
+  flag: { windowMs: 60 * MINUTE, max: 20, key: 'user' }
+};
+
+// Extra hourly limits for new accounts, checked in order. A tier applies while
+// the account is both younger than `youngerThanDays` and below `belowReputation`;
+// everyone else (and `post.unlimited`) only has the `post` policy.
+const NEW_USER_POSTING_LIMITS = [
+  { belowReputation: 10, youngerThanDays: 7, question: 2, answer: 5, comment: 10 },
+  { belowReputation: 100, youngerThanDays: 30, question: 6, answer: 15, comment: 30 }
+];
+const POSTING_WINDOW_MS = 60 * MINUTE;
+
+// Failed logins allowed before an account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * MINUTE;
+
+// In-memory fixed-window counters. Fine for a single process; run several
+// instances behind a shared store (see setStore).
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, MINUTE);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+
+    async resetAll() {
+      windows.clear();
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+// Use another store, e.g. one backed by Redis so limits are shared between
+// instances. It needs `increment(key, windowMs)` resolving to { count, resetAt }
+// (resetAt in ms) and `reset(key)`; `resetAll()` is optional.
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+// Clear every counter (tests)
+const resetRateLimits = async () => {
+  if (store.resetAll) await store.resetAll();
+};
+
+// Count a hit. Store outages fail open - better unthrottled than down.
+const hit = async (key, windowMs) => {
+  try {
+    return await store.increment(key, windowMs);
+  } catch (error) {
+    logger.warn('Rate limit store error:', error.message);
+    return null;
+  }
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Middleware - applies a policy from POLICIES (or an inline { windowMs, max, key })
+// and sets the RateLimit-* headers. Responds 429 with Retry-After when exceeded.
+const rateLimit = (policy) => {
+  const name = typeof policy === 'string' ? policy : policy.name || 'custom';
+  const { windowMs, max, key = 'ip' } = typeof policy === 'string' ? POLICIES[policy] || {} : policy;
+
+  if (!windowMs || !max) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  const middleware = async (req, res, next) => {
+    const subject = key === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+    const result = await hit(`${name}:${subject}`, windowMs);
+
+    if (!result) return next();
+
+    const reset = secondsUntil(result.resetAt);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(reset));
+    res.set('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`);
+
+    if (result.count > max) {
+      return next(new TooManyRequestsError(undefined, { retryAfter: reset }));
+    }
+
+    next();
+  };
+
+  // Read by utils/openapi.js to document the route
+  middleware.rateLimit = { policy: name, windowMs, max, key };
+  return middleware;
+};
+
+// The posting tier a user falls in, or undefined when they aren't limited
+const postingTier = (user) => {
+  if (hasCapability(user, 'post.unlimited')) return undefined;
+
+  const ageDays = (Date.now() - new Date(user.createdAt).getTime()) / DAY;
+  return NEW_USER_POSTING_LIMITS.find(limit => (
+    user.reputation < limit.belowReputation && ageDays < limit.youngerThanDays
+  ));
+};
+
+// Middleware - hourly posting limits for new users (kind: question, answer or comment).
+// Use after `protect`.
+const postingLimit = (kind) => {
+  const middleware = (req, res, next) => {
+    loadUser(req, res, async (error) => {
+      if (error) return next(error);
+
+      const tier = postingTier(req.user);
+      if (!tier) return next();
+
+      const max = tier[kind];
+      const result = await hit(`posting:${kind}:${req.user._id}`, POSTING_WINDOW_MS);
+
+      if (result && result.count > max) {
+        return next(new TooManyRequestsError(
+          `New users can post ${max} ${kind}s per hour. Earn reputation to post more.`,
+          { code: 'POSTING_LIMIT', retryAfter: secondsUntil(result.resetAt) }
+        ));
+      }
+
+      next();
+    });
+  };
+
+  middleware.postingLimit = kind;
+  return middleware;
+};
+
+// Account lockout. Fields live on the user (hidden from queries by default),
+// so a lock holds across restarts and instances.
+const lockedFor = (user) => {
+  return user.lockedUntil && user.lockedUntil > Date.now() ? secondsUntil(user.lockedUntil) : 0;
+};
+
+// Count a failed login; locks the account once MAX_FAILED_LOGINS is reached
+const recordFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, select: '+failedLoginAttempts' }
+  );
+
+  if (user && user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MS) } }
+    );
+  }
+};
+
+const clearFailedLogins = (userId) => {
+  return User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } });
+};
+
+module.exports = {
+  POLICIES,
+  NEW_USER_POSTING_LIMITS,
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MS,
+  createMemoryStore,
+  setStore,
+  resetRateLimits,
+  rateLimit,
+  postingTier,
+  postingLimit,
+  lockedFor,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus. Channels are `question:<id>` and `user:<id>`.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const questionChannel = (questionId) => `question:${questionId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+// Push an event to everyone watching a question page
+const publishToQuestion = (questionId, event, data) => {
+  if (!questionId) return;
+  bus.emit(questionChannel(questionId.toString()), { event, data });
+};
+
+// Send a last event to everyone watching a question, then close their streams
+const endQuestionStreams = (questionId, event, data) => {
+  if (!questionId) return;
+  bus.emit(questionChannel(questionId.toString()), { event, data, end: true });
+};
+
+// Push an event to a single user's stream
+const publishToUser = (userId, event, data) => {
+  if (!userId) return;
+  bus.emit(userChannel(userId.toString()), { event, data });
+};
+
+// Close a user's streams when their sessions are revoked: the streams of one
+// session (`sessionId`), or all of them except `exceptSessionId`
+const endSessionStreams = (userId, { sessionId, exceptSessionId } = {}) => {
+  if (!userId) return;
+  bus.emit(userChannel(userId.toString()), {
+    event: 'session.revoked',
+    data: {},
+    end: true,
+    sessionId: sessionId ? sessionId.toString() : undefined,
+    exceptSessionId: exceptSessionId ? exceptSessionId.toString() : undefined
+  });
+};
+
+// Turn the response into a Server-Sent Events stream subscribed to `channel`.
+// The subscription and heartbeat are cleaned up when the client disconnects
+// or an event closes the stream. Authenticated streams pass the `sessionId`
+// they were opened with, so revoking it closes them, and `expiresAt` (ms),
+// when the access token expires - the client reconnects with a fresh one.
+const openStream = (req, res, channel, { sessionId, expiresAt } = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let eventId = 0;
+
+  const send = (event, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const close = (event, data) => {
+    send(event, data);
+    cleanup();
+    res.end();
+  };
+
+  const expiry = expiresAt
+    ? setTimeout(() => close('session.expired', {}), Math.max(0, expiresAt - Date.now()))
+    : null;
+
+  const listener = ({ event, data, end, sessionId: onlySession, exceptSessionId }) => {
+    // Session events only reach the streams of the sessions they name
+    if (onlySession && onlySession !== sessionId) return;
+    if (exceptSessionId && exceptSessionId === sessionId) return;
+
+    if (end) return close(event, data);
+    send(event, data);
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    bus.off(channel, listener);
+  };
+
+  bus.on(channel, listener);
+  req.on('close', cleanup);
+
+  res.write('retry: 5000\n\n');
+
+  return send;
+};
+
+module.exports = {
+  bus,
+  questionChannel,
+  userChannel,
+  publishToQuestion,
+  publishToUser,
+  endQuestionStreams,
+  endSessionStreams,
+  openStream
+};
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+
+// Points awarded for each reputation event type.
+// Bounty events (bounty_offered / bounty_awarded) carry the bounty amount instead.
+const REPUTATION_POINTS = {
+  question_upvoted: 10,
+  question_downvoted: -2,
+  answer_upvoted: 10,
+  answer_downvoted: -2,
+  answer_accepted: 15,   // to the answerer
+  accepted_answer: 2,    // to the asker who accepted
+  answer_verified: 10
+};
+
+// Record a reputation event and apply its points to the user's total
+const recordEvent = async ({ user, type, targetType, targetId, actor, isReversal = false, points: amount }) => {
+  const base = amount !== undefined ? amount : REPUTATION_POINTS[type];
+  const points = isReversal ? -base : base;
+
+  const event = await ReputationEvent.create({
+    user,
+    type,
+    points,
+    targetType,
+    targetId,
+    actor,
+    isReversal
+  });
+
+  await User.updateOne({ _id: user }, { $inc: { reputation: points } });
+
+  return event;
+};
+
+// Deduct reputation only if the user has enough of it (used for bounties).
+// Returns the event, or null when the balance is too low.
+const spendReputation = async ({ user, amount, type, targetType, targetId }) => {
+  const debited = await User.updateOne(
+    { _id: user, reputation: { $gte: amount } },
+    { $inc: { reputation: -amount } }
+  );
+
+  if (debited.modifiedCount === 0) return null;
+
+  return ReputationEvent.create({
+    user,
+    type,
+    points: -amount,
+    targetType,
+    targetId,
+    actor: user
+  });
+};
+
+const ownerOf = (targetType, target) => {
+  return targetType === 'question' ? target.asker : target.answerer;
+};
+
+const voteEventType = (targetType, value) => {
+  return `${targetType}_${value === 1 ? 'upvoted' : 'downvoted'}`;
+};
+
+// Apply a vote change on a question or answer.
+// previousValue / newValue are 1, -1 or 0 (no vote).
+const applyVoteChange = async ({ targetType, target, voterId, previousValue = 0, newValue = 0 }) => {
+  const owner = ownerOf(targetType, target);
+
+  // Voting on your own post never moves reputation
+  if (!owner || owner.toString() === voterId.toString()) return;
+  if (previousValue === newValue) return;
+
+  const base = { user: owner, targetType, targetId: target._id, actor: voterId };
+
+  if (previousValue) {
+    await recordEvent({ ...base, type: voteEventType(targetType, previousValue), isReversal: true });
+  }
+
+  if (newValue) {
+    await recordEvent({ ...base, type: voteEventType(targetType, newValue) });
+  }
+};
+
+// Award reputation for an accepted answer (and reverse it for the
+// previously accepted answer when acceptance moves)
+const applyAccept = async ({ question, answer, previousAnswer }) => {
+  if (previousAnswer && previousAnswer._id.toString() === answer._id.toString()) return;
+
+  if (previousAnswer) {
+    await revokeAccept({ question, answer: previousAnswer });
+  }
+
+  // Accepting your own answer earns nothing
+  if (answer.answerer.toString() === question.asker.toString()) return;
+
+  await recordEvent({
+    user: answer.answerer,
+    type: 'answer_accepted',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: question.asker
+  });
+
+  await recordEvent({
+    user: question.asker,
+    type: 'accepted_answer',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: question.asker
+  });
+};
+
+const revokeAccept = async ({ question, answer }) => {
+  if (answer.answerer.toString() === question.asker.toString()) return;
+
+  await recordEvent({
+    user: answer.answerer,
+    type: 'answer_accepted',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: question.asker,
+    isReversal: true
+  });
+
+  await recordEvent({
+    user: question.asker,
+    type: 'accepted_answer',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: question.asker,
+    isReversal: true
+  });
+};
+
+// Award / reverse reputation for expert verification of an answer
+const applyVerify = async ({ answer, verifierId }) => {
+  await recordEvent({
+    user: answer.answerer,
+    type: 'answer_verified',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: verifierId
+  });
+};
+
+const revokeVerify = async ({ answer, verifierId }) => {
+  await recordEvent({
+    user: answer.answerer,
+    type: 'answer_verified',
+    targetType: 'answer',
+    targetId: answer._id,
+    actor: verifierId,
+    isReversal: true
+  });
+};
+
+// Sum a user's ledger (the source of truth for reputation)
+const ledgerTotal = async (userId) => {
+  const [result] = await ReputationEvent.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: '$points' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// Record what the ledger doesn't explain yet (reputation earned before it
+// existed) as the user's opening balance. Only the first call per user writes
+// one; returns true if it did.
+const recordOpeningBalance = async (userId) => {
+  if (await ReputationEvent.exists({ user: userId, type: 'opening_balance' })) return false;
+
+  const user = await User.findById(userId).select('reputation createdAt');
+  if (!user) return false;
+
+  const points = user.reputation - await ledgerTotal(userId);
+  const result = await ReputationEvent.updateOne(
+    { user: userId, type: 'opening_balance' },
+    { $setOnInsert: { points, createdAt: user.createdAt } },
+    { upsert: true }
+  );
+
+  return result.upsertedCount > 0;
+};
+
+// Recompute a user's stored reputation from their ledger, opening it first
+// so the first run keeps reputation earned before the ledger.
+// Returns { previous, reputation, opened } so callers can report drift.
+const recalculateReputation = async (userId) => {
+  const opened = await recordOpeningBalance(userId);
+
+  const user = await User.findById(userId).select('reputation');
+  if (!user) return null;
+
+  const total = await ledgerTotal(userId);
+  const previous = user.reputation;
+
+  if (previous !== total) {
+    await User.updateOne({ _id: userId }, { $set: { reputation: total } });
+  }
+
+  return { previous, reputation: total, opened };
+};
+
+// Per-day totals for a user's reputation history
+const dailyBreakdown = async (userId) => {
+  const days = await ReputationEvent.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        points: { $sum: '$points' },
+        events: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return days.map(day => ({ date: day._id, points: day.points, events: day.events }));
+};
+
+module.exports = {
+  REPUTATION_POINTS,
+  recordEvent,
+  spendReputation,
+  applyVoteChange,
+  applyAccept,
+  revokeAccept,
+  applyVerify,
+  revokeVerify,
+  ledgerTotal,
+  recordOpeningBalance,
+  recalculateReputation,
+  dailyBreakdown
+};
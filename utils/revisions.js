@@ -0,0 +1,151 @@
+const Revision = require('../models/Revision');
+const { diffLines, diffTags } = require('./diff');
+const { resolveTags, updateTagUsage } = require('./tags');
+const { resolveMentions } = require('./mentions');
+
+// Editable content of a question or answer
+const snapshot = (targetType, target) => {
+  if (targetType === 'question') {
+    return { title: target.title, body: target.body, tags: [...(target.tags || [])] };
+  }
+  return { body: target.body };
+};
+
+const authorOf = (targetType, target) => {
+  return targetType === 'question' ? target.asker : target.answerer;
+};
+
+const contentChanged = (previous, current) => {
+  return JSON.stringify(previous) !== JSON.stringify(current);
+};
+
+// Store an edit as a new revision. `previous` is the snapshot taken before
+// the edit; on the first edit it is kept as revision 1 (the original post).
+const recordRevision = async ({ targetType, target, previous, editorId, editSummary }) => {
+  const latest = await Revision.findOne({ targetType, targetId: target._id })
+    .sort({ revision: -1 });
+
+  let next = latest ? latest.revision + 1 : 1;
+
+  if (!latest) {
+    await Revision.create({
+      targetType,
+      targetId: target._id,
+      revision: 1,
+      editor: authorOf(targetType, target),
+      editSummary: 'Original',
+      ...previous,
+      createdAt: target.createdAt
+    });
+    next = 2;
+  }
+
+  return Revision.create({
+    targetType,
+    targetId: target._id,
+    revision: next,
+    editor: editorId,
+    editSummary,
+    ...snapshot(targetType, target)
+  });
+};
+
+// All revisions of a post, oldest first. Posts that were never edited
+// get a single unsaved revision built from their current content.
+const listRevisions = async (targetType, target) => {
+  const revisions = await Revision.find({ targetType, targetId: target._id })
+    .sort({ revision: 1 })
+    .populate('editor', 'username reputation');
+
+  if (revisions.length > 0) {
+    return revisions.map(revision => revision.toObject());
+  }
+
+  return [{
+    targetType,
+    targetId: target._id,
+    revision: 1,
+    editor: authorOf(targetType, target),
+    editSummary: 'Original',
+    ...snapshot(targetType, target),
+    createdAt: target.createdAt
+  }];
+};
+
+// Line-level diff between two revisions. `body` is null, with `bodyTooLarge`
+// set, when the bodies differ too much to diff.
+const compareRevisions = (targetType, from, to) => {
+  const diff = {
+    from: from.revision,
+    to: to.revision,
+    body: diffLines(from.body, to.body)
+  };
+
+  if (diff.body === null) {
+    diff.bodyTooLarge = true;
+  }
+
+  if (targetType === 'question') {
+    diff.title = diffLines(from.title, to.title);
+    diff.tags = diffTags(from.tags, to.tags);
+  }
+
+  return diff;
+};
+
+// Revision list plus a diff between two revisions (defaults to the last two).
+// Returns null when either revision number does not exist.
+const revisionHistory = async (targetType, target, { from, to } = {}) => {
+  const revisions = await listRevisions(targetType, target);
+  const latest = revisions[revisions.length - 1].revision;
+
+  const toNumber = to ? Number(to) : latest;
+  const fromNumber = from ? Number(from) : Math.max(toNumber - 1, 1);
+
+  const fromRevision = revisions.find(revision => revision.revision === fromNumber);
+  const toRevision = revisions.find(revision => revision.revision === toNumber);
+
+  if (!fromRevision || !toRevision) return null;
+
+  return {
+    revisions,
+    diff: compareRevisions(targetType, fromRevision, toRevision)
+  };
+};
+
+// Restore a post to the content of an earlier revision, recorded as a new revision
+const rollbackToRevision = async ({ targetType, target, revision, editorId }) => {
+  const previous = snapshot(targetType, target);
+
+  target.body = revision.body;
+  target.mentions = await resolveMentions(revision.body);
+  if (targetType === 'question') {
+    target.title = revision.title;
+    target.tags = await resolveTags(revision.tags || []);
+  }
+  target.updatedAt = Date.now();
+  await target.save();
+
+  if (targetType === 'question') {
+    await updateTagUsage(previous.tags, target.tags);
+  }
+
+  await recordRevision({
+    targetType,
+    target,
+    previous,
+    editorId,
+    editSummary: `Rolled back to revision ${revision.revision}`
+  });
+
+  return target;
+};
+
+module.exports = {
+  snapshot,
+  contentChanged,
+  recordRevision,
+  listRevisions,
+  revisionHistory,
+  rollbackToRevision
+};
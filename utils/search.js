@@ -0,0 +1,296 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const User = require('../models/User');
+const { resolveTags } = require('./tags');
+const { paginate, offsetWindow, offsetPage } = require('./pagination');
+const { LIST_PROJECTION } = require('./markdown');
+
+// Upper bound on text matches pulled from each collection before ranking
+const SEARCH_CANDIDATES = 500;
+
+// Answer matches count for less than a match in the question itself
+const ANSWER_SCORE_WEIGHT = 0.5;
+
+const SNIPPET_LENGTH = 200;
+
+// Question fields loaded for each candidate; only the page is loaded in full
+const RANKING_FIELDS = 'createdAt votes views bountyAmount bountyExpiresAt';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Parse a search string into free text and field filters.
+//   [tag]        questions tagged `tag`
+//   user:name    questions asked by `name`
+//   is:answered  is:unanswered, is:accepted, is:pinned, is:locked, is:closed, is:open
+//   score:>5     score:<0, score:>=10, score:3
+//   "a phrase"   exact phrase
+const parseSearchQuery = (raw = '') => {
+  const parsed = { terms: [], phrases: [], tags: [], user: null, is: [], score: null };
+  const tokenPattern = /"([^"]+)"|\[([^\]]+)\]|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(raw)) !== null) {
+    if (match[1]) {
+      parsed.phrases.push(match[1].trim());
+      continue;
+    }
+
+    if (match[2]) {
+      parsed.tags.push(match[2].trim());
+      continue;
+    }
+
+    const token = match[3];
+    const separator = token.indexOf(':');
+    const key = separator > 0 ? token.slice(0, separator).toLowerCase() : null;
+    const value = separator > 0 ? token.slice(separator + 1) : '';
+
+    if (key === 'user' && value) {
+      parsed.user = value;
+    } else if (key === 'is' && value) {
+      parsed.is.push(value.toLowerCase());
+    } else if (key === 'score' && /^(>=|<=|>|<|=)?-?\d+$/.test(value)) {
+      const [, operator = '=', number] = value.match(/^(>=|<=|>|<|=)?(-?\d+)$/);
+      parsed.score = { operator, value: Number(number) };
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+};
+
+const SCORE_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte', '=': '$eq' };
+
+// Mongo conditions for the field filters of a parsed query
+const buildFilters = async (parsed, { tags = [] } = {}) => {
+  const conditions = [{ isHidden: { $ne: true } }];
+  const allTags = await resolveTags([...parsed.tags, ...tags]);
+
+  if (allTags.length > 0) {
+    conditions.push({ tags: { $all: allTags } });
+  }
+
+  if (parsed.user) {
+    const user = await User.findOne({ username: parsed.user }).select('_id');
+    // Unknown user - match nothing
+    conditions.push({ asker: user ? user._id : null });
+  }
+
+  for (const flag of parsed.is) {
+    if (flag === 'answered') {
+      conditions.push({ answerCount: { $gt: 0 } });
+    } else if (flag === 'unanswered') {
+      conditions.push({ answerCount: 0 });
+    } else if (flag === 'accepted') {
+      conditions.push({ acceptedAnswer: { $ne: null } });
+    } else if (flag === 'pinned') {
+      conditions.push({ isPinned: true });
+    } else if (flag === 'locked') {
+      conditions.push({ isLocked: true });
+    } else if (flag === 'closed') {
+      conditions.push({ isClosed: true });
+    } else if (flag === 'open') {
+      conditions.push({ isClosed: { $ne: true } });
+    }
+  }
+
+  if (parsed.score) {
+    conditions.push({ votes: { [SCORE_OPERATORS[parsed.score.operator]]: parsed.score.value } });
+  }
+
+  return conditions;
+};
+
+const toFilter = (conditions) => {
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Cut a snippet of `text` around the first match and wrap matches in <mark>.
+// Everything outside the <mark> tags is HTML-escaped.
+const highlight = (text = '', words = [], maxLength = SNIPPET_LENGTH) => {
+  const usable = words.filter(Boolean);
+  const pattern = usable.length > 0
+    ? new RegExp(`(${usable.map(escapeRegex).join('|')})`, 'gi')
+    : null;
+
+  let start = 0;
+  if (pattern && text.length > maxLength) {
+    const first = text.search(pattern);
+    if (first > 0) start = Math.max(0, first - Math.floor(maxLength / 3));
+  }
+
+  let snippet = text.slice(start, start + maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + maxLength < text.length ? '…' : '';
+
+  if (!pattern) {
+    return prefix + escapeHtml(snippet) + suffix;
+  }
+
+  // split() with a capturing group puts the matches at odd indexes
+  snippet = snippet
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return prefix + snippet + suffix;
+};
+
+const SORTS = {
+  newest: { isPinned: -1, createdAt: -1 },
+  votes: { isPinned: -1, votes: -1 },
+  views: { isPinned: -1, views: -1 },
+  featured: { bountyAmount: -1, bountyExpiresAt: 1 }
+};
+
+// Search questions (and their answers) with relevance ranking.
+// Returns a page (see utils/pagination.js) plus `parsed`; each question in
+// `items` carries `highlights` ({ title, body, answer? }) and, for text
+// searches, `score`.
+const searchQuestions = async ({ q = '', tags = [], page = 1, limit = 10, cursor, sort = 'relevance' }) => {
+  const parsed = parseSearchQuery(q);
+  const conditions = await buildFilters(parsed, { tags });
+  limit = Number(limit);
+
+  // Featured - questions with an active bounty
+  if (sort === 'featured') {
+    conditions.push({ bountyAmount: { $gt: 0 } });
+  }
+
+  const words = [...parsed.terms, ...parsed.phrases];
+  const textSearch = [...parsed.terms, ...parsed.phrases.map(phrase => `"${phrase}"`)].join(' ');
+
+  // Only field filters - plain sorted query
+  if (!textSearch) {
+    const result = await paginate(Question, {
+      filter: toFilter(conditions),
+      sort: SORTS[sort] || SORTS.newest,
+      page,
+      limit,
+      cursor,
+      query: found => found.select(LIST_PROJECTION).populate('asker', 'username reputation')
+    });
+
+    return {
+      ...result,
+      parsed,
+      items: result.items.map(question => ({
+        ...question.toObject(),
+        highlights: { title: escapeHtml(question.title), body: highlight(question.body) }
+      }))
+    };
+  }
+
+  // Ranked in memory, so later pages continue by offset
+  const ranking = `search:${sort}`;
+  const { skip, page: currentPage } = offsetWindow({ ranking, page, limit, cursor });
+
+  const questionMatches = await Question.find(
+    toFilter([...conditions, { $text: { $search: textSearch } }]),
+    { score: { $meta: 'textScore' } }
+  )
+    .select(RANKING_FIELDS)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(SEARCH_CANDIDATES)
+    .lean();
+
+  const answerMatches = await Answer.find(
+    { $text: { $search: textSearch }, isHidden: { $ne: true } },
+    { score: { $meta: 'textScore' }, questionId: 1 }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(SEARCH_CANDIDATES)
+    .lean();
+
+  // Best matching answer per question
+  const bestAnswers = new Map();
+  for (const answer of answerMatches) {
+    const key = answer.questionId.toString();
+    if (!bestAnswers.has(key) || bestAnswers.get(key).score < answer.score) {
+      bestAnswers.set(key, answer);
+    }
+  }
+
+  const results = new Map();
+  for (const question of questionMatches) {
+    results.set(question._id.toString(), { question, score: question.score || 0 });
+  }
+
+  const answerOnlyIds = [...bestAnswers.keys()].filter(id => !results.has(id));
+  if (answerOnlyIds.length > 0) {
+    const answerOnlyQuestions = await Question.find(
+      toFilter([...conditions, { _id: { $in: answerOnlyIds } }])
+    ).select(RANKING_FIELDS).lean();
+    for (const question of answerOnlyQuestions) {
+      results.set(question._id.toString(), { question, score: 0 });
+    }
+  }
+
+  const ranked = [...results.entries()].map(([id, result]) => {
+    const answer = bestAnswers.get(id);
+    return {
+      ...result,
+      answer,
+      score: result.score + (answer ? answer.score * ANSWER_SCORE_WEIGHT : 0)
+    };
+  });
+
+  if (sort === 'newest') {
+    ranked.sort((a, b) => b.question.createdAt - a.question.createdAt);
+  } else if (sort === 'votes') {
+    ranked.sort((a, b) => b.question.votes - a.question.votes);
+  } else if (sort === 'views') {
+    ranked.sort((a, b) => b.question.views - a.question.views);
+  } else if (sort === 'featured') {
+    ranked.sort((a, b) => b.question.bountyAmount - a.question.bountyAmount
+      || a.question.bountyExpiresAt - b.question.bountyExpiresAt);
+  } else {
+    ranked.sort((a, b) => b.score - a.score);
+  }
+
+  // Load the page's questions and best answers in full
+  const pageResults = ranked.slice(skip, skip + limit);
+  const pageQuestions = await Question.find({ _id: { $in: pageResults.map(result => result.question._id) } })
+    .select(LIST_PROJECTION)
+    .populate('asker', 'username reputation')
+    .lean();
+  const pageAnswerIds = pageResults.filter(result => result.answer).map(result => result.answer._id);
+  const pageAnswers = await Answer.find({ _id: { $in: pageAnswerIds } }).select('body').lean();
+
+  const questionsById = new Map(pageQuestions.map(question => [question._id.toString(), question]));
+  const answersById = new Map(pageAnswers.map(answer => [answer._id.toString(), answer]));
+
+  const questions = [];
+  for (const { question: { _id }, answer, score } of pageResults) {
+    const question = questionsById.get(_id.toString());
+    if (!question) continue; // deleted since it was ranked
+
+    const highlights = {
+      title: highlight(question.title, words, question.title.length),
+      body: highlight(question.body, words)
+    };
+    const bestAnswer = answer && answersById.get(answer._id.toString());
+    if (bestAnswer) {
+      highlights.answer = { _id: bestAnswer._id, body: highlight(bestAnswer.body, words) };
+    }
+
+    questions.push({ ...question, score, highlights });
+  }
+
+  return {
+    ...offsetPage({ ranking, items: questions, total: ranked.length, skip, page: currentPage, limit }),
+    parsed
+  };
+};
+
+module.exports = { parseSearchQuery, highlight, escapeRegex, searchQuestions };
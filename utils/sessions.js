@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken, clearSessionCache } = require('./auth');
+const { endSessionStreams } = require('./realtime');
+const { UnauthorizedError } = require('./errors');
+
+// Sessions stay alive while they are used at least this often
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new UnauthorizedError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const isActive = (session) => !session.revokedAt && session.expiresAt > new Date();
+
+// Access + refresh token pair for a session
+const issueTokens = (session, secret) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a user who just logged in or registered.
+// Returns { session, token, refreshToken }
+const createSession = async ({ userId, req }) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, ...issueTokens(session, secret) };
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again revokes the whole session, since it means the
+// token was copied. Returns { session, token, refreshToken }
+const refreshSession = async ({ refreshToken, req }) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const session = await Session.findById(sessionId);
+
+  if (!session || !isActive(session)) {
+    throw new UnauthorizedError('Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash !== session.tokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      session.revokedAt = Date.now();
+      await session.save();
+      clearSessionCache({ sessionId: session._id });
+      endSessionStreams(session.user, { sessionId: session._id });
+    }
+    throw new UnauthorizedError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  const nextSecret = newSecret();
+
+  // Only rotate if no concurrent refresh got there first
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: presentedHash,
+        userAgent: req.get('user-agent') || session.userAgent,
+        ip: req.ip,
+        lastUsedAt: Date.now(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new UnauthorizedError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  return { session: rotated, ...issueTokens(rotated, nextSecret) };
+};
+
+// Revoke the session a refresh token belongs to (logout).
+// Unknown or already revoked sessions are ignored.
+const revokeRefreshToken = async (refreshToken) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashToken(secret), revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+  clearSessionCache({ sessionId });
+
+  if (!session) return false;
+
+  endSessionStreams(session.user, { sessionId });
+  return true;
+};
+
+// A user's active sessions, most recently used first
+const listSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke one of a user's sessions. Returns false if it isn't theirs or already revoked.
+const revokeSession = async ({ userId, sessionId }) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+  clearSessionCache({ sessionId });
+
+  if (result.modifiedCount === 0) return false;
+
+  endSessionStreams(userId, { sessionId });
+  return true;
+};
+
+// Revoke every session of a user, optionally keeping one (the caller's own).
+// Returns the number revoked.
+const revokeAllSessions = async ({ userId, exceptSessionId }) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: Date.now() } });
+  clearSessionCache({ userId });
+  endSessionStreams(userId, { exceptSessionId });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
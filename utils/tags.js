@@ -0,0 +1,100 @@
+const Tag = require('../models/Tag');
+const Question = require('../models/Question');
+
+const MAX_TAG_LENGTH = 35;
+
+// Lowercase, dash-separated, only characters that appear in tech tags (c++, c#, node.js)
+const normalizeTagName = (raw) => {
+  if (typeof raw !== 'string') return '';
+
+  return raw
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9+#.-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+};
+
+// Normalize a list of tags (array or comma-separated string) and map
+// synonyms to their canonical tag. Returns unique canonical names.
+const resolveTags = async (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+  const names = [...new Set(list.map(normalizeTagName).filter(Boolean))];
+
+  if (names.length === 0) return [];
+
+  const synonymTags = await Tag.find({ synonyms: { $in: names } }).select('name synonyms');
+  const canonical = new Map();
+  for (const tag of synonymTags) {
+    for (const synonym of tag.synonyms) canonical.set(synonym, tag.name);
+  }
+
+  return [...new Set(names.map(name => canonical.get(name) || name))];
+};
+
+// Keep Tag.usageCount current when a question's tags change.
+// Tags seen for the first time are added to the catalog.
+const updateTagUsage = async (previousTags = [], nextTags = []) => {
+  const added = nextTags.filter(tag => !previousTags.includes(tag));
+  const removed = previousTags.filter(tag => !nextTags.includes(tag));
+
+  const operations = [
+    ...added.map(name => ({
+      updateOne: {
+        filter: { name },
+        update: { $inc: { usageCount: 1 }, $setOnInsert: { name } },
+        upsert: true
+      }
+    })),
+    ...removed.map(name => ({
+      updateOne: {
+        filter: { name, usageCount: { $gt: 0 } },
+        update: { $inc: { usageCount: -1 } }
+      }
+    }))
+  ];
+
+  if (operations.length > 0) {
+    await Tag.bulkWrite(operations);
+  }
+};
+
+// Recount usage for a single tag from the questions collection
+const recountTag = async (name) => {
+  const usageCount = await Question.countDocuments({ tags: name });
+  await Tag.updateOne({ name }, { $set: { usageCount } });
+  return usageCount;
+};
+
+// Make `synonym` an alias of `tag`: questions tagged with the synonym are
+// retagged with the canonical name and the synonym's own Tag entry is removed.
+const mergeSynonym = async (tag, synonym) => {
+  await Question.updateMany({ tags: synonym }, { $addToSet: { tags: tag.name } });
+  await Question.updateMany({ tags: synonym }, { $pull: { tags: synonym } });
+
+  const synonymTag = await Tag.findOne({ name: synonym });
+  if (synonymTag) {
+    // Carry over the synonym's own synonyms
+    for (const name of synonymTag.synonyms) {
+      if (name !== tag.name && !tag.synonyms.includes(name)) tag.synonyms.push(name);
+    }
+    await synonymTag.deleteOne();
+  }
+
+  if (!tag.synonyms.includes(synonym)) tag.synonyms.push(synonym);
+  tag.updatedAt = Date.now();
+  await tag.save();
+
+  tag.usageCount = await recountTag(tag.name);
+  return tag;
+};
+
+module.exports = {
+  normalizeTagName,
+  resolveTags,
+  updateTagUsage,
+  recountTag,
+  mergeSynonym
+};
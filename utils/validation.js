@@ -0,0 +1,184 @@
+// Declarative request validation.
+//
+// Routes describe what they accept and `validate()` checks it before the handler
+// (and before any Mongo call), coercing query strings to numbers/booleans on the way:
+//
+//   router.get('/:id/answers', validate({
+//     params: { id: objectId() },
+//     query: pagination()
+//   }), handler);
+//
+// Any problem becomes a ValidationError (400) listing every field error at once:
+//   { error: 'Validation failed', code: 'VALIDATION_FAILED', fields: [{ in: 'body', field: 'title', message: 'title is required' }] }
+
+const { ValidationError } = require('./errors');
+
+// Length limits shared by routes. Post bodies are markdown, where leading
+// indentation matters, so they are stored untrimmed.
+const LIMITS = {
+  title: { min: 10, max: 150 },
+  questionBody: { min: 20, max: 30000, trim: false },
+  answerBody: { min: 10, max: 30000, trim: false },
+  commentBody: { min: 2, max: 600, trim: false },
+  editSummary: { max: 200 },
+  tag: { max: 35 },
+  tags: { max: 5 },
+  tagDescription: { max: 500 },
+  tagWiki: { max: 30000 },
+  username: { min: 3, max: 30 },
+  password: { min: 6, max: 128 },
+  profileText: { max: 500 },
+  note: { max: 500 },
+  cursor: { max: 500 }
+};
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field builders
+const string = (options = {}) => ({ type: 'string', ...options });
+const int = (options = {}) => ({ type: 'int', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const objectId = (options = {}) => ({ type: 'objectId', required: true, ...options });
+const oneOf = (values, options = {}) => ({ type: 'string', enum: values, ...options });
+const email = (options = {}) => ({ type: 'string', pattern: EMAIL, patternMessage: 'must be a valid email address', ...options });
+// Arrays also accept a comma-separated string ("react,hooks") when `csv` is set
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+
+const tagList = (options = {}) => array(string({ max: LIMITS.tag.max }), { csv: true, maxItems: LIMITS.tags.max, ...options });
+
+// ?page=&limit=&cursor= with defaults - see utils/pagination.js
+const pagination = ({ limit = 20, maxLimit = 100 } = {}) => ({
+  page: int({ min: 1, default: 1 }),
+  limit: int({ min: 1, max: maxLimit, default: limit }),
+  cursor: string({ ...LIMITS.cursor })
+});
+
+const isMissing = (value, location) => {
+  return value === undefined || value === null || (location === 'query' && value === '');
+};
+
+// Check one value against its rule. Returns { value } or { error }
+const checkValue = (rule, value, location) => {
+  if (isMissing(value, location)) {
+    if (rule.required) return { error: 'is required' };
+    return { value: rule.default };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+
+      const text = rule.trim === false ? value : value.trim();
+      if (rule.required && !value.trim()) return { error: 'is required' };
+      if (rule.enum && !rule.enum.includes(text)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+      if (rule.min !== undefined && text.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+      if (rule.max !== undefined && text.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+      if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+      return { value: text };
+    }
+
+    case 'int': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(number)) return { error: 'must be a whole number' };
+      if (rule.enum && !rule.enum.includes(number)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: number };
+    }
+
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    }
+
+    case 'objectId': {
+      if (typeof value !== 'string' || !OBJECT_ID.test(value)) return { error: 'must be a valid id' };
+      return { value };
+    }
+
+    case 'array': {
+      const list = rule.csv && typeof value === 'string' ? value.split(',').filter(item => item.trim()) : value;
+      if (!Array.isArray(list)) return { error: 'must be a list' };
+      if (rule.maxItems !== undefined && list.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+
+      const items = [];
+      for (const item of list) {
+        const checked = checkValue({ ...rule.items, required: true }, item, location);
+        if (checked.error) return { error: `items ${checked.error}` };
+        items.push(checked.value);
+      }
+      return { value: items };
+    }
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+};
+
+// Express 5 exposes req.query as a getter, so validated values are set as an own property
+const setQuery = (req, query) => {
+  Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+};
+
+// Middleware factory. `schema` has optional `params`, `query` and `body` maps of field rules.
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const fields = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      const rules = schema[location];
+      if (!rules) continue;
+
+      const source = req[location] === undefined ? {} : req[location];
+
+      if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        fields.push({ in: location, field: null, message: `${location} must be an object` });
+        continue;
+      }
+
+      const result = { ...source };
+
+      for (const [name, rule] of Object.entries(rules)) {
+        const { value, error } = checkValue(rule, source[name], location);
+
+        if (error) {
+          fields.push({ in: location, field: name, message: `${name} ${error}` });
+        } else if (value === undefined) {
+          delete result[name];
+        } else {
+          result[name] = value;
+        }
+      }
+
+      // Params are only checked - the router owns req.params
+      if (location === 'query') setQuery(req, result);
+      if (location === 'body') req.body = result;
+    }
+
+    if (fields.length > 0) {
+      return next(new ValidationError(fields));
+    }
+
+    next();
+  };
+
+  // Read by utils/openapi.js to document the route
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  LIMITS,
+  string,
+  int,
+  boolean,
+  objectId,
+  oneOf,
+  email,
+  array,
+  tagList,
+  pagination,
+  validate
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const Question = require('../models/Question');
+const QuestionView = require('../models/QuestionView');
+const QuestionViewDay = require('../models/QuestionViewDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Repeat views by the same viewer within this window count once
+const VIEW_WINDOW_MS = DAY_MS;
+
+// Days of history GET /api/questions/:id/views can return
+const MAX_STATS_DAYS = 365;
+
+// Signed-in viewers are told apart by user, anonymous ones by IP and user
+// agent - hashed, so neither is stored
+const viewerKey = (req) => {
+  if (req.userId) return `user:${req.userId}`;
+
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.ip}\n${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `anon:${fingerprint}`;
+};
+
+// Take the viewer's view of a question for the current window. Resolves to
+// false if they already viewed it within the window.
+const claimView = async (questionId, viewer) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + VIEW_WINDOW_MS);
+
+  try {
+    await QuestionView.create({ question: questionId, viewer, viewedAt: now, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Their last view may have expired without MongoDB removing it yet
+  const renewed = await QuestionView.updateOne(
+    { question: questionId, viewer, expiresAt: { $lte: now } },
+    { $set: { viewedAt: now, expiresAt } }
+  );
+  return renewed.modifiedCount === 1;
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Count a view of `question` by the requester, at most once per viewer per
+// VIEW_WINDOW_MS. The asker's own views don't count.
+// Resolves to { counted, views } with the question's new view total.
+const recordView = async (req, question) => {
+  const askerId = question.asker?._id || question.asker;
+  const unchanged = { counted: false, views: question.views };
+
+  if (req.userId && askerId?.toString() === req.userId.toString()) {
+    return unchanged;
+  }
+
+  if (!await claimView(question._id, viewerKey(req))) {
+    return unchanged;
+  }
+
+  const [updated] = await Promise.all([
+    Question.findByIdAndUpdate(question._id, { $inc: { views: 1 } }, { new: true, projection: { views: 1 } }),
+    QuestionViewDay.updateOne(
+      { question: question._id, date: dayOf(new Date()) },
+      { $inc: { views: 1, [req.userId ? 'registered' : 'anonymous']: 1 } },
+      { upsert: true }
+    )
+  ]);
+
+  return { counted: true, views: updated ? updated.views : question.views + 1 };
+};
+
+// Views of a question per day for the last `days` days (UTC, today included),
+// oldest first. Days without views are included with zeros.
+const viewStats = async (questionId, days) => {
+  const now = Date.now();
+  const dates = Array.from({ length: days }, (_, index) => dayOf(new Date(now - (days - 1 - index) * DAY_MS)));
+
+  const recorded = await QuestionViewDay.find({ question: questionId, date: { $gte: dates[0] } });
+  const byDate = new Map(recorded.map(day => [day.date, day]));
+
+  return dates.map((date) => {
+    const day = byDate.get(date);
+    return {
+      date,
+      views: day ? day.views : 0,
+      registered: day ? day.registered : 0,
+      anonymous: day ? day.anonymous : 0
+    };
+  });
+};
+
+// Remove a deleted question's view records
+const clearViews = (questionId) => {
+  return Promise.all([
+    QuestionView.deleteMany({ question: questionId }),
+    QuestionViewDay.deleteMany({ question: questionId })
+  ]);
+};
+
+module.exports = {
+  VIEW_WINDOW_MS,
+  MAX_STATS_DAYS,
+  recordView,
+  viewStats,
+  clearViews
+};
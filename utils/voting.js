@@ -0,0 +1,138 @@
+const Vote = require('../models/Vote');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const { applyVoteChange } = require('./reputation');
+const { publishToQuestion } = require('./realtime');
+const { GOOD_ANSWER_VOTES, evaluateBadges } = require('./badges');
+const { BadRequestError, NotFoundError, ConflictError } = require('./errors');
+
+const TARGET_MODELS = {
+  question: Question,
+  answer: Answer
+};
+
+const ownerOf = (targetType, target) => {
+  return targetType === 'question' ? target.asker : target.answerer;
+};
+
+// Cast, change or toggle off a vote.
+// Voting the same value twice removes the vote; voting the opposite value changes it.
+// Returns { action: 'created' | 'updated' | 'removed', value, votes, target }
+const castVote = async ({ userId, targetType, targetId, value }) => {
+  const Model = TARGET_MODELS[targetType];
+
+  if (!Model) {
+    throw new BadRequestError('Invalid target type');
+  }
+
+  if (![1, -1].includes(value)) {
+    throw new BadRequestError('Vote value must be 1 or -1');
+  }
+
+  const target = await Model.findById(targetId);
+
+  // Hidden posts (and answers on hidden questions) can't be voted on; the only
+  // viewer besides moderators is the author, who can't vote on them anyway
+  if (!target || target.isHidden || target.questionHidden) {
+    throw new NotFoundError(`${targetType} not found`);
+  }
+
+  if (ownerOf(targetType, target).toString() === userId.toString()) {
+    throw new BadRequestError(`You cannot vote on your own ${targetType}`);
+  }
+
+  const existingVote = await Vote.findOne({ user: userId, targetType, targetId: target._id });
+
+  let action;
+  let previousValue = 0;
+  let newValue = value;
+
+  // Removing and changing only apply to the vote as it was read, so a
+  // concurrent request can't move the counter or reputation a second time
+  const raced = () => new ConflictError('Vote changed by another request, please retry');
+
+  if (existingVote && existingVote.value === value) {
+    // Same vote again - toggle it off
+    const removed = await Vote.findOneAndDelete({ _id: existingVote._id, value });
+    if (!removed) throw raced();
+
+    action = 'removed';
+    previousValue = value;
+    newValue = 0;
+  } else if (existingVote) {
+    // Opposite vote - change it
+    previousValue = existingVote.value;
+    const changed = await Vote.findOneAndUpdate(
+      { _id: existingVote._id, value: previousValue },
+      { $set: { value } }
+    );
+    if (!changed) throw raced();
+
+    action = 'updated';
+  } else {
+    try {
+      await Vote.create({ user: userId, targetType, targetId: target._id, value });
+    } catch (error) {
+      // Unique index on (user, targetType, targetId) - a concurrent request won
+      if (error.code === 11000) {
+        throw new ConflictError('Vote already being recorded, please retry');
+      }
+      throw error;
+    }
+    action = 'created';
+  }
+
+  const updatedTarget = await Model.findByIdAndUpdate(
+    target._id,
+    { $inc: { votes: newValue - previousValue } },
+    { new: true }
+  );
+
+  await applyVoteChange({ targetType, target, voterId: userId, previousValue, newValue });
+
+  if (targetType === 'answer' && updatedTarget.votes >= GOOD_ANSWER_VOTES) {
+    await evaluateBadges(target.answerer, 'vote');
+  }
+
+  publishToQuestion(targetType === 'question' ? target._id : target.questionId, 'vote.updated', {
+    targetType,
+    targetId: target._id,
+    votes: updatedTarget.votes
+  });
+
+  return { action, value: newValue, votes: updatedTarget.votes, target: updatedTarget };
+};
+
+// Recompute the `votes` counter of every question and answer from Vote documents.
+// Returns the number of counters that had drifted and were corrected, per target type.
+const recountVotes = async () => {
+  const fixed = {};
+
+  for (const [targetType, Model] of Object.entries(TARGET_MODELS)) {
+    const totals = await Vote.aggregate([
+      { $match: { targetType } },
+      { $group: { _id: '$targetId', votes: { $sum: '$value' } } }
+    ]);
+
+    const expected = new Map(totals.map(total => [total._id.toString(), total.votes]));
+    const operations = [];
+
+    const cursor = Model.find().select('votes').lean().cursor();
+    for await (const doc of cursor) {
+      const votes = expected.get(doc._id.toString()) || 0;
+      if (doc.votes !== votes) {
+        operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { votes } } } });
+      }
+    }
+
+    if (operations.length > 0) {
+      await Model.bulkWrite(operations);
+    }
+
+    fixed[targetType] = operations.length;
+  }
+
+  return fixed;
+};
+
+module.exports = { castVote, recountVotes };